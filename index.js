@@ -5,8 +5,44 @@
  * - Duplicate-key insert fallback now creates admin pending approvals & posts to admin approval channel (instead of DM)
  * - Admin approve flow now reassigns existing conflicting tag before updating
  * - Player card / verified announcement default changed to 1410721232755753173 (configurable)
+ * - Local tesseract.js OCR fallback when OpenAI is not configured or a parse request fails
+ * - OpenAI parses are cross-checked against local OCR; disagreements are flagged for admin review
+ * - Per-field parser confidence stored on each record; low-confidence submissions go to manual review
+ * - Users confirm the parsed values (or report a misread) before a submission is saved
+ * - Stats parsing goes through pluggable providers (openai, tesseract, fixture replay) with a per-guild order
+ * - Parse results cached in Supabase by image hash (comp_parse_cache) with a TTL; admins can force a re-parse
+ * - New submissions are checked against the player's history (games going down, impossible win % swings, tag/platform changes)
+ * - Perceptual hash (phash, plus phash_center for trimmed crops) stored per record; near-duplicates of another
+ *   player's screenshot (same tag or stats as well) go to admin review
+ * - Screenshot forensics (editor metadata, odd dimensions, error level analysis) give a tamper score per record
+ * - Several screenshots (one message or a short window) are merged into one submission with per-field sources
+ * - Game mode (Rec, Park, Pro-Am, Theater, 1v1) parsed and stored; per-guild per-mode thresholds in evaluateStats
+ * - Build metadata (position, archetype, overall, height, badge count) parsed, stored and shown on player cards
+ * - Game profiles (display name, parser prompt, expected fields, default thresholds) with active profiles per guild;
+ *   records are tagged with game_profile and several game versions can run side by side
+ * - Thresholds (min games, min win %, re-verify days, per-mode) resolved per guild: comp_settings -> game profile -> env;
+ *   comp_settings.thresholds_set_at (timestamptz, optional) marks values set through /comp config
+ * - /comp config (Manage Server): view/set channels, verified role, thresholds, upload cooldown; refreshes the pinned embed
+ * - Every guild the bot is in (or joins) is bootstrapped with settings, channels, embed, role and /comp guild commands
+ *   (/player is global so it also works in DMs);
+ *   leaving a guild archives its state; the daily cron covers all guilds
+ * - DM uploads go to the guild the user clicked Verify in; users in several guilds pick one from a select menu
+ * - Verified role resolution: persisted role -> ROLE_ID -> FALLBACK_ROLE_ID -> VERIFIED_ROLE_NAME -> created;
+ *   startup warns in the log channel when the bot cannot assign it
+ * - Tiered roles (comp_settings.tiers / COMP_TIERS): highest tier met is stored on the record and its role kept in sync
+ * - Expiry lifecycle: reminder DMs before expires_at, a grace period, then role removal (each step once per record)
+ * - Members rejoining with a valid record get their role back; leaving sets left_guild_at; roles stripped by hand are restored
+ * - Role/database reconciliation (RECONCILE_CRON, /comp reconcile) reports drift and optionally fixes it
+ * - Seasons: /comp season close archives records (comp_season_archive), requires re-verification (roles removed
+ *   at once or at each player's re-verify deadline, comp_verifications.role_expires_at) and DMs players; records
+ *   are tagged with their season and /player view can show a past season
+ * - Pending admin approvals persisted in comp_pending_approvals (status, decided_by, decided_at); open ones are
+ *   re-attached or reposted on startup so approve/deny buttons survive restarts
+ * - /comp queue: paginated list of flagged/pending items filterable by reason (duplicate tag, unreadable, suspicious,
+ *   appeal); open an item to compare screenshots and approve, deny or ask the player for a new upload
  *
- * Node 18+, discord.js v14, Supabase, OpenAI, Sharp
+ * Node 18+, discord.js v14, Supabase, OpenAI, Sharp, tesseract.js
+ * Database tables and columns: schema.sql (safe to re-run on an existing database)
  */
 
 require('dotenv').config();
@@ -23,14 +59,21 @@ const {
   REST,
   Routes,
   SlashCommandBuilder,
-  ChannelType
+  ChannelType,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  StringSelectMenuBuilder
 } = require('discord.js');
 
 const sharp = require('sharp');
+const Tesseract = require('tesseract.js');
 const { createClient } = require('@supabase/supabase-js');
 const cron = require('node-cron');
 const OpenAI = require('openai');
 const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
 const fetch = globalThis.fetch || require('node-fetch');
 
 // ================= ENV =================
@@ -49,14 +92,68 @@ const REVERIFY_DAYS = Number(process.env.REVERIFY_DAYS || 30);
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const PREFERRED_OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-5-mini';
 const OCR_DEBUG = (process.env.OCR_DEBUG || 'false').toLowerCase() === 'true';
+// Local OCR (tesseract.js) is used when OpenAI is not configured or a parse request fails
+const LOCAL_OCR_ENABLED = (process.env.LOCAL_OCR_ENABLED || 'true').toLowerCase() === 'true';
+const LOCAL_OCR_LANG = process.env.LOCAL_OCR_LANG || 'eng';
+// Stats parser providers tried in order (openai, tesseract, fixture); per-guild override in comp_settings.parser_providers
+const PARSER_PROVIDERS = process.env.PARSER_PROVIDERS || 'openai,tesseract';
+// Recorded parse results keyed by image hash, used by the fixture provider; PARSER_FIXTURE_RECORD=true writes new ones
+const PARSER_FIXTURE_DIR = process.env.PARSER_FIXTURE_DIR || '';
+const PARSER_FIXTURE_RECORD = (process.env.PARSER_FIXTURE_RECORD || 'false').toLowerCase() === 'true';
+// Compare new submissions against the player's earlier records; win % slack covers on-screen rounding
+const PLAUSIBILITY_CHECKS_ENABLED = (process.env.PLAUSIBILITY_CHECKS_ENABLED || 'true').toLowerCase() === 'true';
+const PLAUSIBILITY_WIN_PCT_SLACK = Number(process.env.PLAUSIBILITY_WIN_PCT_SLACK || 1.5);
+// Max Hamming distance (of 64 bits) between perceptual hashes to treat two screenshots as the same image;
+// per-guild override in comp_settings.phash_threshold. Not yet tuned against real screenshots: a hash match
+// only flags when the parsed tag or stats also match, so raise it with care.
+const PHASH_MAX_DISTANCE = Number(process.env.PHASH_MAX_DISTANCE || 6);
+// Screenshots with a forensics tamper score (0-100) at or above this go to admin review; per-guild comp_settings.tamper_threshold
+const TAMPER_SCORE_THRESHOLD = Number(process.env.TAMPER_SCORE_THRESHOLD || 60);
+// Default per-mode thresholds (JSON, see parseModeThresholds); per-guild override in comp_settings.mode_thresholds
+const MODE_THRESHOLDS = process.env.MODE_THRESHOLDS || '';
+// Parse results are cached in comp_parse_cache by image hash for this many hours (0 disables the cache)
+const PARSE_CACHE_TTL_HOURS = Number(process.env.PARSE_CACHE_TTL_HOURS || 72);
+// When OpenAI and local OCR are both available, run both and flag submissions where they disagree
+const PARSER_CONSENSUS_ENABLED = (process.env.PARSER_CONSENSUS_ENABLED || 'true').toLowerCase() === 'true';
+const CONSENSUS_GAMES_TOLERANCE = Number(process.env.CONSENSUS_GAMES_TOLERANCE || 2);
+const CONSENSUS_WIN_PCT_TOLERANCE = Number(process.env.CONSENSUS_WIN_PCT_TOLERANCE || 1.0);
+// Default per-field parser confidence (0-1) required for auto-verification; per-guild override in comp_settings.min_confidence
+const MIN_PARSE_CONFIDENCE = Number(process.env.MIN_PARSE_CONFIDENCE || 0.7);
+// Screenshots sent within this many seconds of each other are merged into one submission (0 = per message)
+const SUBMISSION_WINDOW_SECONDS = Number(process.env.SUBMISSION_WINDOW_SECONDS || 20);
+const MAX_SUBMISSION_IMAGES = Number(process.env.MAX_SUBMISSION_IMAGES || 4);
+// Default role tiers (JSON array of { name, min_win_pct, min_games, role_id? }); per-guild override in comp_settings.tiers.
+// Empty means a single verified role and no tiers.
+const COMP_TIERS = process.env.COMP_TIERS || '';
+// Expiry lifecycle (daily cron): reminder DMs this many days before expires_at, then a grace period before
+// the role is removed. Each step is sent once per record (comp_verifications.reminders_sent / expired_at).
+const REMINDER_DAYS = process.env.REMINDER_DAYS || '7,1';
+const EXPIRY_GRACE_DAYS = Number(process.env.EXPIRY_GRACE_DAYS || 3);
+// Put the verified role back when it is removed by hand while the member's record is still valid
+const RESTORE_STRIPPED_ROLES = (process.env.RESTORE_STRIPPED_ROLES || 'true').toLowerCase() === 'true';
+// Role/database reconciliation schedule (cron syntax, empty disables) and whether scheduled runs fix drift or only report
+const RECONCILE_CRON = process.env.RECONCILE_CRON ?? '30 12 * * *';
+const RECONCILE_FIX = (process.env.RECONCILE_FIX || 'false').toLowerCase() === 'true';
+// Season name used until a guild closes its first season (/comp season close); empty leaves records untagged
+const SEASON_NAME = process.env.SEASON_NAME || '';
+// Game profile used when a guild has none configured (comp_settings.game_profiles); see BUILTIN_GAME_PROFILES
+const DEFAULT_GAME_PROFILE = (process.env.DEFAULT_GAME_PROFILE || 'nba2k26').toLowerCase();
+// Minimum time between a user's uploads; per-guild override in comp_settings.cooldown_minutes
+const SUBMISSION_COOLDOWN_MINUTES = Number(process.env.SUBMISSION_COOLDOWN_MINUTES || 60);
+// How long a user has to confirm the values read from their screenshot before the upload is discarded
+const CONFIRM_TIMEOUT_MINUTES = Number(process.env.CONFIRM_TIMEOUT_MINUTES || 15);
 
 // Channel to post player cards (hardcoded fallback updated per your request)
-// Keep configurable via env var PLAYER_CARD_CHANNEL_ID
+// Keep configurable via env var PLAYER_CARD_CHANNEL_ID; per-guild override in comp_settings.player_card_channel_id (/comp config)
 const PLAYER_CARD_CHANNEL_ID = process.env.PLAYER_CARD_CHANNEL_ID || '1410721232755753173';
 
 // fallback role id (production role you provided). Can still be overridden with env var FALLBACK_ROLE_ID
 const FALLBACK_ROLE_ID = process.env.FALLBACK_ROLE_ID || '1414033567067144202';
 
+// Verified role looked up by this name (the legacy 'Comp' name also matches) and created with it when missing
+const VERIFIED_ROLE_NAME = process.env.VERIFIED_ROLE_NAME || 'Comp Verified';
+const VERIFIED_ROLE_COLOR = process.env.VERIFIED_ROLE_COLOR || '#00AE86';
+
 // Admin user fallback (used only if admin approval channel can't be found)
 const ADMIN_USER_ID = process.env.ADMIN_USER_ID || '637758147330572349';
 
@@ -70,7 +167,7 @@ if (!TOKEN || !CLIENT_ID || !TEST_GUILD_ID || !SUPABASE_URL || !SUPABASE_KEY) {
   process.exit(1);
 }
 if (!OPENAI_API_KEY) {
-  console.warn('OPENAI_API_KEY not provided. Bot will require OpenAI to parse images.');
+  console.warn('OPENAI_API_KEY not provided. The openai parser provider is disabled; other providers in PARSER_PROVIDERS are still used.');
 }
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
@@ -99,9 +196,25 @@ const client = new Client({
 // prevent duplicate ready runs
 let readyRan = false;
 
-// pending approvals store (in-memory)
-// now includes adminChannelId + adminMessageIds so we can clean up images after approve/deny
-const pendingApprovals = new Map(); // reqId -> { userId, guildId, prevTag, newTag, newPlatform, oldImage, newImage, otherUserId, otherImage, altSavedTag, adminChannelId, adminMessageIds }
+// DM screenshots collected during the submission window (in-memory)
+const uploadWindows = new Map(); // userId -> { urls, timer }
+
+// guild (and game profile) a user picked via a Verify button or the DM guild picker; binds their next DM uploads (in-memory)
+const verifyBindings = new Map(); // userId -> { guildId, profileId, at }
+const VERIFY_BINDING_TTL_MS = 24 * 60 * 60 * 1000;
+
+// role removals made by the bot itself, so guildMemberUpdate does not undo them (in-memory)
+const botRoleRemovals = new Map(); // `${guildId}:${userId}` -> timestamp
+
+// DM uploads waiting for the user to pick a guild (in-memory)
+const pendingGuildPicks = new Map(); // pickId -> { userId, urls, guildIds, createdAt }
+
+// parsed uploads waiting for the user to confirm the extracted values (in-memory)
+const pendingSubmissions = new Map(); // submissionId -> { userId, guildId, parsed, url, image_hash, createdAt } (one per user + guild)
+
+// pending approvals cache; the source of truth is comp_pending_approvals (see savePendingApproval)
+// includes adminChannelId + adminMessageIds so we can clean up images after approve/deny
+const pendingApprovals = new Map(); // reqId -> { subject, userId, guildId, prevTag, newTag, newPlatform, oldImage, newImage, otherUserId, otherImage, images, altSavedTag, reason, gameProfile, adminChannelId, adminMessageIds }
 
 //
 // Helper: safe interaction update/reply wrapper
@@ -137,6 +250,20 @@ async function safeInteractionRespond(interaction, payload = { content: 'Done',
   }
 }
 
+// Approval buttons may be used by the configured ADMIN_USER_ID or a guild member with Manage Guild / Administrator
+function isApprovalAdmin(interaction) {
+  try {
+    if (interaction.user.id === String(ADMIN_USER_ID)) return true;
+    // if interaction happens in a guild channel, check member permissions
+    if (interaction.member && typeof interaction.member.permissions?.has === 'function') {
+      return interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild) || interaction.member.permissions.has(PermissionsBitField.Flags.Administrator);
+    }
+  } catch (e) {
+    if (OCR_DEBUG) console.warn('Auth check error for admin approval interaction:', e?.message || e);
+  }
+  return false;
+}
+
 // ---------- helpers for admin channel persistence ----------
 async function getSavedAdminChannelId(guildId) {
   try {
@@ -177,43 +304,117 @@ function fuzzyNameMatch(a, b) {
   return false;
 }
 
-// register /player view
-async function registerCommands() {
-  const commands = [
+// slash command definitions: /player is global so it also works in DMs, /comp is registered per guild
+function buildGlobalCommands() {
+  return [
     new SlashCommandBuilder()
       .setName('player')
       .setDescription('Player related commands')
+      .setDMPermission(true)
       .addSubcommand(sub =>
         sub.setName('view')
           .setDescription('View a player\'s saved stats')
           .addUserOption(opt => opt.setName('user').setDescription('User to view').setRequired(false))
+          .addStringOption(opt => opt.setName('season').setDescription('Show a past season instead of the current record').setRequired(false))
+      )
+      .toJSON()
+  ];
+}
+
+function buildGuildCommands() {
+  return [
+    new SlashCommandBuilder()
+      .setName('comp')
+      .setDescription('Comp verification administration')
+      .setDefaultMemberPermissions(PermissionsBitField.Flags.ManageGuild)
+      .setDMPermission(false)
+      .addSubcommandGroup(group =>
+        group.setName('config')
+          .setDescription('View or change this server\'s verification settings')
+          .addSubcommand(sub => sub.setName('view').setDescription('Show the current settings'))
+          .addSubcommand(sub =>
+            sub.setName('channel')
+              .setDescription('Set one of the bot channels')
+              .addStringOption(opt =>
+                opt.setName('type').setDescription('Which channel').setRequired(true)
+                  .addChoices(...Object.entries(CONFIG_CHANNELS).map(([value, c]) => ({ name: c.label, value })))
+              )
+              .addChannelOption(opt => opt.setName('channel').setDescription('Text channel').addChannelTypes(ChannelType.GuildText).setRequired(true))
+          )
+          .addSubcommand(sub =>
+            sub.setName('role')
+              .setDescription('Set the role granted to verified players')
+              .addRoleOption(opt => opt.setName('role').setDescription('Verified role').setRequired(true))
+          )
+          .addSubcommand(sub =>
+            sub.setName('thresholds')
+              .setDescription('Set verification thresholds (omit a value to keep it)')
+              .addIntegerOption(opt => opt.setName('min_games').setDescription('Minimum games played').setMinValue(0))
+              .addNumberOption(opt => opt.setName('min_win_pct').setDescription('Minimum win percentage').setMinValue(0).setMaxValue(100))
+              .addIntegerOption(opt => opt.setName('reverify_days').setDescription('Days until a verification expires').setMinValue(1).setMaxValue(365))
+              .addBooleanOption(opt => opt.setName('reset').setDescription('Clear all three and use the game profile / env defaults'))
+          )
+          .addSubcommand(sub =>
+            sub.setName('cooldown')
+              .setDescription('Set the minimum time between uploads')
+              .addIntegerOption(opt => opt.setName('minutes').setDescription('Minutes (0 disables)').setMinValue(0).setMaxValue(10080).setRequired(true))
+          )
+      )
+      .addSubcommandGroup(group =>
+        group.setName('season')
+          .setDescription('Season management')
+          .addSubcommand(sub =>
+            sub.setName('close')
+              .setDescription('Archive this season, require everyone to re-verify and start a new season')
+              .addStringOption(opt => opt.setName('new_season').setDescription('Name of the new season, e.g. "Season 2"').setRequired(true).setMaxLength(60))
+              .addBooleanOption(opt => opt.setName('remove_roles').setDescription('Remove roles now (default: keep them until each player\'s re-verify deadline)'))
+          )
+      )
+      .addSubcommand(sub =>
+        sub.setName('reconcile')
+          .setDescription('Compare verified role holders with the database')
+          .addBooleanOption(opt => opt.setName('fix').setDescription('Add/remove roles to match the database (default: report only)'))
+      )
+      .addSubcommand(sub =>
+        sub.setName('queue')
+          .setDescription('List flagged and pending submissions waiting for review')
+          .addStringOption(opt =>
+            opt.setName('reason').setDescription('Only show one kind of item')
+              .addChoices(...Object.entries(QUEUE_REASONS).map(([value, r]) => ({ name: r.label, value })))
+          )
       )
       .toJSON()
   ];
+}
 
-  const rest = new REST({ version: '10' }).setToken(TOKEN);
+const rest = new REST({ version: '10' }).setToken(TOKEN);
 
+// Guild commands show up immediately, unlike global ones; used on startup and when the bot joins a guild
+async function registerGuildCommands(guildId, commands = buildGuildCommands()) {
   try {
-    await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
-    console.log('Registered GLOBAL commands (may take ~1 hour to propagate).');
+    await rest.put(Routes.applicationGuildCommands(CLIENT_ID, guildId), { body: commands });
+    console.log('Registered guild commands to', guildId);
   } catch (err) {
-    console.warn('Global command register failed:', err?.message || err);
+    console.warn(`Guild command registration failed for ${guildId}:`, err?.message || err);
   }
+}
+
+// /player is registered globally (the only way to use it in DMs); /comp per guild, where it appears immediately
+// and is set up again when the bot joins a guild. No command is registered both ways, so Discord never lists
+// one twice; the global PUT also replaces a global /comp left by older versions.
+async function registerCommands() {
+  const commands = buildGuildCommands();
 
   try {
-    await rest.put(Routes.applicationGuildCommands(CLIENT_ID, TEST_GUILD_ID), { body: commands });
-    console.log('Registered guild commands to TEST_GUILD_ID:', TEST_GUILD_ID);
+    await rest.put(Routes.applicationCommands(CLIENT_ID), { body: buildGlobalCommands() });
+    console.log('Registered global commands (/player).');
   } catch (err) {
-    console.warn('Failed to register to TEST_GUILD_ID:', err?.message || err);
+    console.warn('Global command registration failed:', err?.message || err);
   }
 
-  if (GUILD_ID) {
-    try {
-      await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: commands });
-      console.log('Registered guild commands to production GUILD_ID:', GUILD_ID);
-    } catch (err) {
-      console.warn('Prod guild registration failed (optional):', err?.message || err);
-    }
+  const guildIds = new Set([TEST_GUILD_ID, GUILD_ID, ...client.guilds.cache.keys()].filter(Boolean));
+  for (const guildId of guildIds) {
+    await registerGuildCommands(guildId, commands);
   }
 }
 
@@ -250,6 +451,37 @@ async function saveLogChannelId(guildId, channelId) {
     console.warn('Failed to persist log_channel_id to comp_settings:', err?.message || err);
   }
 }
+// numeric comp_settings column for a guild, or the env default when unset/invalid
+async function getGuildNumberSetting(guildId, column, fallback) {
+  try {
+    const { data, error } = await supabase.from('comp_settings').select(column).eq('guild_id', guildId).maybeSingle();
+    if (!error && data?.[column] != null && Number.isFinite(Number(data[column]))) return Number(data[column]);
+  } catch (err) {
+    if (OCR_DEBUG) console.warn(`getGuildNumberSetting(${column}) error:`, err?.message || err);
+  }
+  return fallback;
+}
+async function getMinConfidenceForGuild(guildId) {
+  return getGuildNumberSetting(guildId, 'min_confidence', MIN_PARSE_CONFIDENCE);
+}
+async function getTamperThresholdForGuild(guildId) {
+  return getGuildNumberSetting(guildId, 'tamper_threshold', TAMPER_SCORE_THRESHOLD);
+}
+async function getPhashThresholdForGuild(guildId) {
+  return getGuildNumberSetting(guildId, 'phash_threshold', PHASH_MAX_DISTANCE);
+}
+async function getCooldownMinutesForGuild(guildId) {
+  return getGuildNumberSetting(guildId, 'cooldown_minutes', SUBMISSION_COOLDOWN_MINUTES);
+}
+async function getPlayerCardChannelId(guildId) {
+  try {
+    const { data, error } = await supabase.from('comp_settings').select('player_card_channel_id').eq('guild_id', guildId).maybeSingle();
+    if (!error && data?.player_card_channel_id) return data.player_card_channel_id;
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('getPlayerCardChannelId error:', err?.message || err);
+  }
+  return PLAYER_CARD_CHANNEL_ID;
+}
 async function getSavedCategoryId(guildId) {
   try {
     const { data, error } = await supabase.from('comp_settings').select('category_id').eq('guild_id', guildId).maybeSingle();
@@ -267,6 +499,80 @@ async function saveCategoryId(guildId, categoryId) {
   }
 }
 
+// ================ game profiles =================
+// A profile describes one game version: display name, parser prompt (null = default prompt), the fields a
+// screenshot must yield, and default thresholds. Rows in comp_game_profiles add profiles or override these.
+const BUILTIN_GAME_PROFILES = {
+  nba2k26: {
+    id: 'nba2k26',
+    display_name: 'NBA2K26',
+    parser_prompt: null,
+    expected_fields: ['player_tag', 'games_played', 'win_pct'],
+    min_games: null,
+    min_win_pct: null,
+    reverify_days: null
+  }
+};
+const gameProfiles = new Map(Object.entries(BUILTIN_GAME_PROFILES));
+
+async function loadGameProfiles() {
+  try {
+    const { data, error } = await supabase.from('comp_game_profiles').select('*');
+    if (error) {
+      if (OCR_DEBUG) console.warn('comp_game_profiles fetch error (using built-in profiles):', error.message);
+      return;
+    }
+    for (const row of data || []) {
+      const id = String(row.id || '').trim().toLowerCase();
+      if (!id) continue;
+      const base = gameProfiles.get(id) || BUILTIN_GAME_PROFILES[DEFAULT_GAME_PROFILE] || {};
+      gameProfiles.set(id, {
+        ...base,
+        id,
+        display_name: row.display_name || base.display_name || id,
+        parser_prompt: row.parser_prompt ?? base.parser_prompt ?? null,
+        expected_fields: Array.isArray(row.expected_fields) && row.expected_fields.length > 0 ? row.expected_fields : base.expected_fields,
+        min_games: row.min_games ?? base.min_games ?? null,
+        min_win_pct: row.min_win_pct ?? base.min_win_pct ?? null,
+        reverify_days: row.reverify_days ?? base.reverify_days ?? null
+      });
+    }
+    console.log('Game profiles loaded:', Array.from(gameProfiles.keys()).join(', '));
+  } catch (err) {
+    console.warn('loadGameProfiles error:', err?.message || err);
+  }
+}
+
+// Unknown or missing ids resolve to the default profile so older records (no game_profile) keep working
+function getGameProfile(profileId) {
+  const id = profileId ? String(profileId).toLowerCase() : DEFAULT_GAME_PROFILE;
+  return gameProfiles.get(id) || gameProfiles.get(DEFAULT_GAME_PROFILE) || BUILTIN_GAME_PROFILES.nba2k26;
+}
+
+// Active profiles for a guild: comp_settings.game_profiles (comma list, first is the primary) or DEFAULT_GAME_PROFILE.
+// Several active profiles let two game years run side by side during a transition.
+async function getActiveProfilesForGuild(guildId) {
+  try {
+    const { data, error } = await supabase.from('comp_settings').select('game_profiles').eq('guild_id', guildId).maybeSingle();
+    if (!error && data?.game_profiles) {
+      const ids = String(data.game_profiles).split(',').map(p => p.trim().toLowerCase()).filter(p => gameProfiles.has(p));
+      if (ids.length > 0) return ids.map(id => gameProfiles.get(id));
+    }
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('getActiveProfilesForGuild error:', err?.message || err);
+  }
+  return [getGameProfile(DEFAULT_GAME_PROFILE)];
+}
+
+// Profile default thresholds, falling back to the env values (per-guild overrides: resolveThresholds)
+function profileThresholds(profile) {
+  return {
+    minGames: Number(profile?.min_games ?? MIN_GAMES),
+    minWinPct: Number(profile?.min_win_pct ?? MIN_WIN_PCT),
+    reverifyDays: Number(profile?.reverify_days ?? REVERIFY_DAYS)
+  };
+}
+
 // find/create category/channel helpers
 async function fetchPinsSafe(channel) {
   try {
@@ -379,11 +685,12 @@ async function findOrCreateChannel(guild) {
   }
 
   let category = await findOrCreateCategory(guild).catch(() => null);
+  const profileNames = (await getActiveProfilesForGuild(guild.id)).map(p => p.display_name).join(' / ');
   try {
     const created = await guild.channels.create({
       name: VERIF_CREATE_NAME,
       type: ChannelType.GuildText,
-      topic: 'Comp verification for NBA2K26. Click Verify to start. Upload screenshots via DM. Make sure the **Games Played** number and **Win percentage** are visible.',
+      topic: `Comp verification for ${profileNames}. Click Verify to start. Upload screenshots via DM. Make sure the **Games Played** number and **Win percentage** are visible.`,
       parent: category ? category.id : undefined,
       permissionOverwrites: [
         {
@@ -553,6 +860,292 @@ async function logToGuild(guild, title, description) {
   }
 }
 
+// ================ pending approvals (persisted) =================
+// Admin approvals live in comp_pending_approvals so a restart does not orphan them; pendingApprovals is a cache.
+// status: open -> approved | denied | failed, with decided_by / decided_at once an admin acts.
+function pendingApprovalToRow(reqId, pending) {
+  return {
+    id: reqId,
+    guild_id: pending.guildId,
+    user_id: pending.userId,
+    other_user_id: pending.otherUserId ?? null,
+    subject: pending.subject ?? null,
+    prev_tag: pending.prevTag ?? null,
+    new_tag: pending.newTag ?? null,
+    new_platform: pending.newPlatform ?? null,
+    old_image: pending.oldImage ?? null,
+    new_image: pending.newImage ?? null,
+    other_image: pending.otherImage ?? null,
+    images: pending.images ?? null,
+    alt_saved_tag: pending.altSavedTag ?? null,
+    reason: pending.reason ?? null,
+    game_profile: pending.gameProfile ?? null,
+    admin_channel_id: pending.adminChannelId ?? null,
+    admin_message_ids: pending.adminMessageIds || [],
+    status: 'open'
+  };
+}
+
+function pendingApprovalFromRow(row) {
+  return {
+    subject: row.subject || undefined,
+    userId: row.user_id,
+    guildId: row.guild_id,
+    prevTag: row.prev_tag,
+    newTag: row.new_tag,
+    newPlatform: row.new_platform,
+    oldImage: row.old_image,
+    newImage: row.new_image,
+    otherUserId: row.other_user_id,
+    otherImage: row.other_image,
+    images: row.images || undefined,
+    altSavedTag: row.alt_saved_tag,
+    reason: row.reason,
+    gameProfile: row.game_profile,
+    adminChannelId: row.admin_channel_id,
+    adminMessageIds: row.admin_message_ids || [],
+    createdAt: row.created_at
+  };
+}
+
+// Cache and upsert; call again whenever adminChannelId/adminMessageIds change.
+async function savePendingApproval(reqId, pending) {
+  pendingApprovals.set(reqId, pending);
+  try {
+    const { error } = await supabase.from('comp_pending_approvals').upsert(pendingApprovalToRow(reqId, pending), { onConflict: 'id' });
+    if (error) console.warn('Failed to persist pending approval (comp_pending_approvals):', error.message);
+  } catch (err) {
+    console.warn('savePendingApproval error:', err?.message || err);
+  }
+}
+
+// Open approval by id: cache first, then the table (e.g. buttons clicked after a restart).
+async function loadPendingApproval(reqId) {
+  if (pendingApprovals.has(reqId)) return pendingApprovals.get(reqId);
+  try {
+    const { data, error } = await supabase.from('comp_pending_approvals')
+      .select()
+      .eq('id', reqId)
+      .eq('status', 'open')
+      .maybeSingle();
+    if (error || !data) {
+      if (error && OCR_DEBUG) console.warn('loadPendingApproval query failed:', error.message);
+      return null;
+    }
+    const pending = pendingApprovalFromRow(data);
+    pendingApprovals.set(reqId, pending);
+    return pending;
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('loadPendingApproval error:', err?.message || err);
+    return null;
+  }
+}
+
+async function resolvePendingApproval(reqId, status, decidedBy) {
+  pendingApprovals.delete(reqId);
+  try {
+    const { error } = await supabase.from('comp_pending_approvals')
+      .update({ status, decided_by: decidedBy ?? null, decided_at: new Date().toISOString() })
+      .eq('id', reqId);
+    if (error) console.warn('Failed to record approval decision (comp_pending_approvals):', error.message);
+  } catch (err) {
+    console.warn('resolvePendingApproval error:', err?.message || err);
+  }
+}
+
+// Best-effort removal of the admin channel posts (or ADMIN_USER_ID DMs) made for an approval.
+async function deleteApprovalMessages(pending) {
+  if (!Array.isArray(pending.adminMessageIds) || pending.adminMessageIds.length === 0) return;
+  try {
+    let ch = null;
+    if (pending.adminChannelId) {
+      ch = await client.channels.fetch(pending.adminChannelId).catch(() => null);
+    } else {
+      const adminUser = await client.users.fetch(ADMIN_USER_ID).catch(() => null);
+      ch = adminUser ? await adminUser.createDM().catch(() => null) : null;
+    }
+    if (!ch || !ch.messages) return;
+    for (const mid of pending.adminMessageIds) {
+      const m = await ch.messages.fetch(mid).catch(() => null);
+      if (m && m.deletable) await m.delete().catch(() => null);
+    }
+  } catch (_) {}
+}
+
+// Screenshots to show next to an approval: explicit images, else the old/new pair.
+function pendingApprovalImages(pending) {
+  if (Array.isArray(pending.images) && pending.images.length) return pending.images;
+  const images = [];
+  if (pending.oldImage) images.push({ label: pending.otherUserId ? `Existing owner image for <@${pending.otherUserId}>` : 'Previous image', url: pending.oldImage });
+  if (pending.newImage) images.push({ label: 'New submitter image', url: pending.newImage });
+  return images;
+}
+
+function buildPendingApprovalComponents(reqId, pending) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`admin_approve:${reqId}`).setLabel(pending.subject === 'submission' ? 'Approve submission' : 'Approve new submission').setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`admin_deny:${reqId}`).setLabel(pending.subject === 'submission' ? 'Deny / keep flagged' : 'Keep existing / Deny new').setStyle(ButtonStyle.Danger)
+  );
+  if (pending.newImage) {
+    row.addComponents(
+      new ButtonBuilder().setCustomId(`admin_recheck:${reqId}`).setLabel('Re-check').setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(`admin_reparse:${reqId}`).setLabel('Force re-parse').setStyle(ButtonStyle.Secondary)
+    );
+  }
+  return row;
+}
+
+// Does the first admin message of this approval still exist (admin channel or ADMIN_USER_ID DMs)?
+async function pendingApprovalMessageExists(pending) {
+  const firstId = pending.adminMessageIds?.[0];
+  if (!firstId) return false;
+  try {
+    if (pending.adminChannelId) {
+      const ch = await client.channels.fetch(pending.adminChannelId).catch(() => null);
+      if (!ch || !ch.messages) return false;
+      return !!(await ch.messages.fetch(firstId).catch(() => null));
+    }
+    const adminUser = await client.users.fetch(ADMIN_USER_ID).catch(() => null);
+    const dm = adminUser ? await adminUser.createDM().catch(() => null) : null;
+    if (!dm) return false;
+    return !!(await dm.messages.fetch(firstId).catch(() => null));
+  } catch (_) {
+    return false;
+  }
+}
+
+// Post an approval's embed and buttons, then its screenshots (pendingApprovalImages), to the admin approval
+// channel, falling back to DMing ADMIN_USER_ID. Records where the messages went on pending and saves it;
+// returns false when neither could be reached.
+async function postApprovalMessages(guild, reqId, pending, adminEmbed, comps) {
+  pending.adminChannelId = null;
+  pending.adminMessageIds = [];
+  let target = null;
+  try {
+    const adminCh = guild ? await findOrCreateAdminApprovalChannel(guild).catch(() => null) : null;
+    const sent = adminCh ? await adminCh.send({ embeds: [adminEmbed], components: [comps] }).catch(() => null) : null;
+    if (sent) {
+      target = adminCh;
+      pending.adminChannelId = adminCh.id;
+      pending.adminMessageIds.push(sent.id);
+    }
+  } catch (e) {
+    if (OCR_DEBUG) console.warn('Admin approval channel post failed:', e?.message || e);
+  }
+  if (!target) {
+    try {
+      const adminUser = await client.users.fetch(ADMIN_USER_ID).catch(() => null);
+      const dm = adminUser ? await adminUser.send({ embeds: [adminEmbed], components: [comps] }).catch(() => null) : null;
+      if (dm) {
+        target = adminUser;
+        pending.adminMessageIds.push(dm.id);
+      } else if (OCR_DEBUG) {
+        console.warn('Could not DM admin for approval', ADMIN_USER_ID);
+      }
+    } catch (e) {
+      if (OCR_DEBUG) console.warn('Failed to DM admin for approval:', e?.message || e);
+    }
+  }
+  if (!target) return false;
+  // send images as followups so they are visible next to the buttons
+  for (const img of pendingApprovalImages(pending)) {
+    const imgMsg = await target.send({ content: `${img.label}: ${img.url}` }).catch(() => null);
+    if (imgMsg) pending.adminMessageIds.push(imgMsg.id);
+  }
+  await savePendingApproval(reqId, pending);
+  return true;
+}
+
+// Post a fresh admin message for an open approval whose original message is gone.
+async function repostPendingApproval(guild, reqId, pending) {
+  const fields = [
+    { name: 'Submitter', value: `<@${pending.userId}>`, inline: true },
+    { name: 'Tag', value: pending.newTag || 'N/A', inline: true }
+  ];
+  if (pending.otherUserId) fields.push({ name: 'Existing owner', value: `<@${pending.otherUserId}>`, inline: true });
+  if (pending.prevTag && pending.prevTag !== pending.newTag) fields.push({ name: 'Previous tag', value: pending.prevTag, inline: true });
+  if (pending.altSavedTag) fields.push({ name: 'Saved as', value: pending.altSavedTag, inline: true });
+  const adminEmbed = new EmbedBuilder()
+    .setTitle(`Pending ${pending.subject || 'tag change'} (reposted)`)
+    .setDescription(`This request was still open when the bot restarted and its original message is gone.${pending.reason ? `\n\n**Reason:** ${pending.reason}` : ''}`)
+    .addFields(fields)
+    .setColor(0xE67E22)
+    .setTimestamp(pending.createdAt ? new Date(pending.createdAt) : new Date());
+  return postApprovalMessages(guild, reqId, pending, adminEmbed, buildPendingApprovalComponents(reqId, pending));
+}
+
+// Startup: load a guild's open approvals into the cache; repost those whose admin message was deleted.
+async function restorePendingApprovals(guild) {
+  const { data, error } = await supabase.from('comp_pending_approvals')
+    .select()
+    .eq('guild_id', guild.id)
+    .eq('status', 'open')
+    .order('created_at', { ascending: true });
+  if (error) {
+    if (OCR_DEBUG) console.warn('Could not load open approvals (comp_pending_approvals):', error.message);
+    return;
+  }
+  let reattached = 0;
+  let reposted = 0;
+  for (const row of data || []) {
+    const pending = pendingApprovalFromRow(row);
+    if (await pendingApprovalMessageExists(pending)) {
+      pendingApprovals.set(row.id, pending);
+      reattached++;
+    } else if (await repostPendingApproval(guild, row.id, pending)) {
+      reposted++;
+    } else {
+      pendingApprovals.set(row.id, pending);
+    }
+  }
+  if (reattached || reposted) console.log(`Restored ${reattached + reposted} open approval(s) in ${guild.id} (${reposted} reposted)`);
+}
+
+// Post a flagged submission to the admin approval channel (falls back to DMing ADMIN_USER_ID).
+// Reuses the admin_approve/admin_deny buttons: approving clears the flag and re-runs the role check.
+// images: [{ label, url }] posted as follow-up messages so admins can compare screenshots.
+async function requestAdminReview(guild, { userId, record, title, reason, images = [], otherUserId = null }) {
+  const reqId = crypto.randomUUID();
+  const pending = {
+    subject: 'submission',
+    userId,
+    guildId: guild.id,
+    prevTag: record?.player_tag ?? null,
+    newTag: record?.player_tag ?? null,
+    newPlatform: record?.platform ?? null,
+    oldImage: null,
+    newImage: record?.image_url ?? null,
+    otherUserId,
+    otherImage: null,
+    reason,
+    gameProfile: record?.game_profile ?? null,
+    adminChannelId: null,
+    adminMessageIds: []
+  };
+
+  const adminEmbed = new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(`A submission from <@${userId}> was held for manual review.\n\n**Reason:** ${reason}\n\nApprove to accept the parsed values and run the normal role check, or deny to keep it flagged.`)
+    .addFields(
+      { name: 'Tag', value: record?.player_tag ?? 'N/A', inline: true },
+      { name: 'Win percentage', value: record?.win_pct != null ? String(record.win_pct) : 'N/A', inline: true },
+      { name: 'Games played', value: record?.games_played != null ? String(record.games_played) : 'N/A', inline: true }
+    )
+    .setColor(0xE67E22)
+    .setTimestamp();
+
+  let allImages = images;
+  if (!allImages.length && record?.image_urls?.length) allImages = record.image_urls.map((u, i) => ({ label: `Submitted image ${i + 1}`, url: u }));
+  else if (!allImages.length && record?.image_url) allImages = [{ label: 'Submitted image', url: record.image_url }];
+  pending.images = allImages;
+  await savePendingApproval(reqId, pending);
+
+  if (await postApprovalMessages(guild, reqId, pending, adminEmbed, buildPendingApprovalComponents(reqId, pending))) return reqId;
+
+  await logToGuild(guild, 'Admin review - could not reach admins', `Submission from <@${userId}> needs review but no admin channel or admin DM was available. Reason: ${reason}`);
+  return null;
+}
+
 // image helpers
 async function downloadImageToBuffer(url) {
   const res = await fetch(url);
@@ -562,6 +1155,53 @@ async function downloadImageToBuffer(url) {
 async function computeImageHash(buffer) {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 }
+// 64-bit difference hash (dHash) as 16 hex chars. Survives re-compression and resizing, unlike the SHA-256 image_hash.
+// centerFraction < 1 hashes only the centred region of that relative size (see computeCenterHashes).
+async function computePerceptualHash(buffer, { centerFraction = 1 } = {}) {
+  let img = sharp(buffer).removeAlpha().grayscale();
+  if (centerFraction < 1) {
+    const { width, height } = await sharp(buffer).metadata();
+    const w = Math.max(9, Math.round(width * centerFraction));
+    const h = Math.max(8, Math.round(height * centerFraction));
+    img = img.extract({ left: Math.floor((width - w) / 2), top: Math.floor((height - h) / 2), width: w, height: h });
+  }
+  const px = await img
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+  let hex = '';
+  for (let row = 0; row < 8; row++) {
+    let nibbleBits = 0;
+    for (let col = 0; col < 8; col++) {
+      const bit = px[row * 9 + col] > px[row * 9 + col + 1] ? 1 : 0;
+      nibbleBits = (nibbleBits << 1) | bit;
+      if (col % 4 === 3) {
+        hex += nibbleBits.toString(16);
+        nibbleBits = 0;
+      }
+    }
+  }
+  return hex;
+}
+// The plain dHash does not survive cropping. Each record also stores the hash of its centre 60% (phash_center);
+// an upload is hashed at several centre scales so that a screenshot with its borders trimmed (or the uncropped
+// original of a stored crop) lines up with that stored centre. Off-centre crops are not covered.
+const PHASH_CENTER_FRACTION = 0.6;
+const PHASH_CENTER_SCALES = [0.4, 0.45, 0.5, 0.55, 0.6, 0.67, 0.75, 0.86, 1];
+async function computeCenterHashes(buffer) {
+  const variants = [];
+  for (const scale of PHASH_CENTER_SCALES) variants.push(await computePerceptualHash(buffer, { centerFraction: scale }));
+  return { phash_center: variants[PHASH_CENTER_SCALES.indexOf(PHASH_CENTER_FRACTION)], phash_center_variants: variants };
+}
+function hammingDistanceHex(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let dist = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (x) { dist += x & 1; x >>= 1; }
+  }
+  return dist;
+}
 async function preprocessForOCR(buffer) {
   const cleaned = await sharp(buffer)
     .resize(1600, null, { fit: 'inside' })
@@ -577,6 +1217,98 @@ async function preprocessForOCR(buffer) {
   return { cleaned, binary };
 }
 
+// ---------- screenshot forensics ----------
+// Heuristic tamper score (0-100) for an uploaded screenshot. None of these checks proves an edit on its own;
+// they add up so that only images with several warning signs cross the review threshold.
+const EDITOR_SOFTWARE_RE = /photoshop|gimp|snapseed|pixlr|lightroom|canva|picsart|affinity|paint\.net|facetune|photopea|fotor|polarr/i;
+const CAPTURE_RESOLUTIONS = new Set([
+  '1280x720', '1366x768', '1600x900', '1920x1080', '2560x1440', '3840x2160',
+  '1920x1200', '2560x1600', '3440x1440', '2560x1080'
+]);
+
+// Per-block mean of |original - recompressed| (error level analysis) plus per-block pixel variance.
+async function errorLevelBlocks(buffer, blockSize = 16) {
+  // downscale once (keeps the per-pixel loop cheap on 4K captures), then recompress that same buffer so
+  // both sides are compared at identical resolution and the difference is JPEG error, not resampling noise
+  const { data: orig, info } = await sharp(buffer).removeAlpha().resize(512, null, { fit: 'inside' }).grayscale().raw().toBuffer({ resolveWithObject: true });
+  const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+  const recompressed = await sharp(orig, raw).jpeg({ quality: 90 }).toBuffer();
+  const { data: re } = await sharp(recompressed).grayscale().raw().toBuffer({ resolveWithObject: true });
+
+  const blocks = [];
+  for (let by = 0; by + blockSize <= info.height; by += blockSize) {
+    for (let bx = 0; bx + blockSize <= info.width; bx += blockSize) {
+      let err = 0;
+      let sum = 0;
+      let sumSq = 0;
+      for (let y = by; y < by + blockSize; y++) {
+        for (let x = bx; x < bx + blockSize; x++) {
+          const i = y * info.width + x;
+          err += Math.abs(orig[i] - re[i]);
+          sum += orig[i];
+          sumSq += orig[i] * orig[i];
+        }
+      }
+      const n = blockSize * blockSize;
+      blocks.push({ error: err / n, variance: sumSq / n - (sum / n) ** 2 });
+    }
+  }
+  return blocks;
+}
+
+async function analyzeImageForensics(buffer) {
+  let score = 0;
+  const reasons = [];
+
+  const meta = await sharp(buffer).metadata();
+
+  // 1. editor software recorded in EXIF / XMP
+  const metaText = [meta.exif, meta.xmp].filter(Boolean).map(b => b.toString('latin1')).join(' ');
+  const editor = metaText.match(EDITOR_SOFTWARE_RE);
+  if (editor) {
+    score += 50;
+    reasons.push(`metadata shows image editor (${editor[0]})`);
+  }
+
+  // 2. dimensions that no console, PC or capture card produces (cropped or re-exported)
+  const dims = `${meta.width}x${meta.height}`;
+  if (meta.width && meta.height && !CAPTURE_RESOLUTIONS.has(dims)) {
+    const aspect = meta.width / meta.height;
+    if (Math.abs(aspect - 16 / 9) > 0.02) {
+      score += 15;
+      reasons.push(`unusual dimensions ${dims}`);
+    }
+  }
+
+  // 3/4. error level analysis: a saved-once JPEG has fairly uniform error; pasted or re-rendered
+  // regions stand out as blocks far above (re-compressed paste) or far below (lossless text) the rest.
+  if (meta.format === 'jpeg') {
+    try {
+      const blocks = await errorLevelBlocks(buffer);
+      const errors = blocks.map(b => b.error).sort((a, b) => a - b);
+      const median = errors[Math.floor(errors.length / 2)] || 0;
+      if (median > 0.5 && blocks.length > 0) {
+        const hot = blocks.filter(b => b.error > median * 4).length;
+        const hotShare = hot / blocks.length;
+        if (hot > 0 && hotShare < 0.1) {
+          score += 30;
+          reasons.push(`error-level inconsistency in ${hot} region(s)`);
+        }
+        // detailed (text-like) blocks with almost no recompression error look re-rendered
+        const rerendered = blocks.filter(b => b.variance > 1500 && b.error < median * 0.25).length;
+        if (rerendered >= 2) {
+          score += 25;
+          reasons.push(`${rerendered} high-detail region(s) with near-zero compression error (possible re-rendered digits)`);
+        }
+      }
+    } catch (err) {
+      if (OCR_DEBUG) console.warn('Error level analysis failed:', err?.message || err);
+    }
+  }
+
+  return { score: Math.min(100, score), reasons };
+}
+
 // OpenAI probing + parsing
 async function probeOpenAIModel(modelName) {
   if (!openai) return false;
@@ -626,15 +1358,78 @@ async function chooseWorkingOpenAIModel(preferred) {
   return null;
 }
 
-async function parseWithOpenAI(imageUrl) {
+// Per-field parser confidence (0-1). Accepts 0-100 scales from engines that report percentages.
+const CONFIDENCE_FIELDS = ['games_played', 'win_pct', 'player_tag', 'platform'];
+function normalizeConfidence(raw) {
+  const out = {};
+  for (const field of CONFIDENCE_FIELDS) {
+    let v = raw && raw[field] != null ? Number(raw[field]) : null;
+    if (v != null && v > 1) v = v / 100;
+    out[field] = Number.isFinite(v) ? Math.max(0, Math.min(1, Number(v.toFixed(3)))) : null;
+  }
+  return out;
+}
+
+// Build metadata (position, archetype, overall, height, badge count) is informational only; evaluateStats ignores it
+const BUILD_POSITIONS = ['PG', 'SG', 'SF', 'PF', 'C'];
+const BUILD_FIELDS = ['position', 'archetype', 'overall', 'height', 'badge_count'];
+function normalizePosition(raw) {
+  if (!raw) return null;
+  const s = String(raw).toUpperCase().replace(/[^A-Z/]/g, '');
+  const first = s.split('/')[0];
+  if (BUILD_POSITIONS.includes(first)) return first;
+  const names = { POINTGUARD: 'PG', SHOOTINGGUARD: 'SG', SMALLFORWARD: 'SF', POWERFORWARD: 'PF', CENTER: 'C', CENTRE: 'C' };
+  return names[first] || null;
+}
+
+// Heights are stored as text in feet/inches, e.g. 6'7"
+function normalizeHeight(raw) {
+  if (!raw) return null;
+  const m = String(raw).match(/(\d)\s*(?:'|’|ft|feet)\s*(\d{1,2})?/i);
+  if (!m) return null;
+  const inches = m[2] != null ? parseInt(m[2], 10) : 0;
+  if (inches > 11) return null;
+  return `${m[1]}'${inches}"`;
+}
+
+function normalizeBuildFields(parsed) {
+  const overall = parsed.overall != null ? parseInt(parsed.overall, 10) : null;
+  const badges = parsed.badge_count != null ? parseInt(parsed.badge_count, 10) : null;
+  const archetype = parsed.archetype != null ? String(parsed.archetype).trim() : '';
+  return {
+    position: normalizePosition(parsed.position),
+    archetype: archetype.length > 0 ? archetype.slice(0, 80) : null,
+    overall: Number.isFinite(overall) && overall >= 40 && overall <= 99 ? overall : null,
+    height: normalizeHeight(parsed.height),
+    badge_count: Number.isFinite(badges) && badges >= 0 ? badges : null
+  };
+}
+
+function normalizeModeStats(raw) {
+  if (!Array.isArray(raw)) return null;
+  const sections = raw
+    .map(sec => ({
+      mode: normalizeGameMode(sec?.mode),
+      games_played: sec?.games_played != null ? parseInt(sec.games_played, 10) : null,
+      win_pct: sec?.win_pct != null ? parseFloat(sec.win_pct) : null
+    }))
+    .filter(sec => sec.mode && (Number.isFinite(sec.games_played) || Number.isFinite(sec.win_pct)));
+  return sections.length > 0 ? sections : null;
+}
+
+// Default parser prompt; a game profile can replace it entirely with its own parser_prompt
+function buildDefaultParserPrompt(gameName) {
+  return `You are given an image of an ${gameName} Stats screen. Extract EXACTLY one JSON object with these keys:
+{"games_played": <int|null>, "win_pct": <float|null>, "points": <int|null>, "rebounds": <int|null>, "assists": <int|null>, "player_tag": <string|null>, "platform": <string|null>, "game_mode": <string|null>, "mode_stats": [{"mode": <string>, "games_played": <int|null>, "win_pct": <float|null>}], "position": <string|null>, "archetype": <string|null>, "overall": <int|null>, "height": <string|null>, "badge_count": <int|null>, "confidence": {"games_played": <0-1>, "win_pct": <0-1>, "player_tag": <0-1>, "platform": <0-1>}}
+player_tag is the PSN or Gamertag shown on the screen. platform is PSN, Xbox, or PC when visible. game_mode is the mode the stats belong to (Rec, Park, Pro-Am, Theater or 1v1) when the screen shows it. If the screen shows separate sections per mode, list each in mode_stats and put the section for the selected/highlighted mode in the top-level fields; otherwise use an empty mode_stats array. position is the build position (PG, SG, SF, PF or C), archetype is the build name (e.g. "2-Way Slashing Playmaker"), overall is the OVR rating, height is written like 6'7", and badge_count is the total number of badges shown; use null for any that are not on the screen. If a field is unreadable, use null. confidence is how sure you are that each value was read exactly as shown (1 = clearly legible, below 0.5 = blurry, cropped or guessed). Return ONLY the JSON object, with no explanation. Example:
+{"games_played":147,"win_pct":70.1,"points":1155,"rebounds":155,"assists":336,"player_tag":"brockhogg","platform":"PSN","game_mode":"Rec","mode_stats":[],"position":"PG","archetype":"2-Way Slashing Playmaker","overall":92,"height":"6'7\\"","badge_count":null,"confidence":{"games_played":0.98,"win_pct":0.95,"player_tag":0.9,"platform":0.99}}`;
+}
+
+async function parseWithOpenAI(imageUrl, profile = getGameProfile()) {
   if (!openai) throw new Error('OpenAI client not initialized');
   if (!activeOpenAIModel) throw new Error('No active OpenAI model selected');
 
-  const instructionText =
-`You are given an image of an NBA2K Stats screen. Extract EXACTLY one JSON object with these keys:
-{"games_played": <int|null>, "win_pct": <float|null>, "points": <int|null>, "rebounds": <int|null>, "assists": <int|null>, "player_tag": <string|null>, "platform": <string|null>}
-player_tag is the PSN or Gamertag shown on the screen. platform is PSN, Xbox, or PC when visible. If a field is unreadable, use null. Return ONLY the JSON object, with no explanation. Example:
-{"games_played":147,"win_pct":70.1,"points":1155,"rebounds":155,"assists":336,"player_tag":"brockhogg","platform":"PSN"}`;
+  const instructionText = profile.parser_prompt || buildDefaultParserPrompt(profile.display_name);
 
   const requestBody = {
     model: activeOpenAIModel,
@@ -686,182 +1481,515 @@ player_tag is the PSN or Gamertag shown on the screen. platform is PSN, Xbox, or
     player_tag: (parsed.player_tag != null && String(parsed.player_tag).trim().length > 0)
                 ? String(parsed.player_tag).trim()
                 : null,
-    platform: parsed.platform != null ? String(parsed.platform).trim() : null
+    platform: parsed.platform != null ? String(parsed.platform).trim() : null,
+    game_mode: normalizeGameMode(parsed.game_mode),
+    mode_stats: normalizeModeStats(parsed.mode_stats),
+    ...normalizeBuildFields(parsed),
+    confidence: normalizeConfidence(parsed.confidence)
   };
 }
 
-async function parseImageStats(imageUrl) {
-  if (!openai) throw new Error('OpenAI client not initialized');
-  if (!activeOpenAIModel) throw new Error('No active OpenAI model selected');
+// Local OCR (tesseract.js) parsing
+// A single worker is created lazily and reused; recognition jobs are serialized by the worker.
+let tesseractWorkerPromise = null;
+async function getTesseractWorker() {
+  if (!tesseractWorkerPromise) {
+    tesseractWorkerPromise = (async () => {
+      const worker = await Tesseract.createWorker();
+      await worker.loadLanguage(LOCAL_OCR_LANG);
+      await worker.initialize(LOCAL_OCR_LANG);
+      await worker.setParameters({ preserve_interword_spaces: '1' });
+      return worker;
+    })().catch(err => {
+      tesseractWorkerPromise = null;
+      throw err;
+    });
+  }
+  return tesseractWorkerPromise;
+}
 
-  const buffer = await downloadImageToBuffer(imageUrl);
-  const image_hash = await computeImageHash(buffer);
-  await preprocessForOCR(buffer);
+function parseOcrNumber(raw, { float = false } = {}) {
+  if (raw == null) return null;
+  // common OCR confusions inside digit runs
+  const cleaned = String(raw).replace(/[oO]/g, '0').replace(/[lI|]/g, '1').replace(/[sS]/g, '5').replace(/,/g, '');
+  const m = cleaned.match(float ? /\d{1,3}(?:\.\d{1,2})?/ : /\d+/);
+  if (!m) return null;
+  const n = float ? parseFloat(m[0]) : parseInt(m[0], 10);
+  return Number.isFinite(n) ? n : null;
+}
 
-  const parsed = await parseWithOpenAI(imageUrl);
-  parsed.image_hash = image_hash;
-  return parsed;
+// Any stat header the 2K stats screen prints; used to work out column order in table-style layouts.
+const OCR_HEADER_RE = /games?\s*played|win\s*(?:%|pct|percent(?:age)?)|\bgames\b|\bgp\b|\bwins?\b|\blosses\b|\bpoints\b|\bpts\b|\brebounds?\b|\breb\b|\bassists?\b|\bast\b/gi;
+
+// Find the number belonging to a label. Handles "GAMES PLAYED 147" on one line as well as
+// header rows ("GAMES  WIN%  PTS") followed by a value row ("147  70.1  1155").
+function findLabeledNumber(lines, labelRe, { float = false } = {}) {
+  for (let i = 0; i < lines.length; i++) {
+    const m = lines[i].match(labelRe);
+    if (!m) continue;
+
+    const after = lines[i].slice(m.index + m[0].length).replace(/^[\s:\-]+/, '');
+    const firstToken = after.split(' ')[0];
+    if (/^[\dOoIl|Ss.,%]+$/.test(firstToken) && /\d/.test(firstToken)) {
+      const same = parseOcrNumber(firstToken, { float });
+      if (same != null) return same;
+    }
+
+    const column = (lines[i].slice(0, m.index).match(OCR_HEADER_RE) || []).length;
+    for (let j = i + 1; j <= i + 2 && j < lines.length; j++) {
+      const values = lines[j].split(' ').filter(t => /^[\d.,%]+$/.test(t) && /\d/.test(t));
+      if (values.length === 0) continue;
+      const picked = values.length > column ? values[column] : values[0];
+      const n = parseOcrNumber(picked, { float });
+      if (n != null) return n;
+    }
+  }
+  return null;
 }
 
-// ================ Supabase helpers ================
-// improved save: try insert, then fetch latest row for the user/guild for consistency
-// added duplicate-key fallback to avoid crashing on concurrent insert races
-async function saveVerificationRecord(record) {
-  try {
-    const insertResp = await supabase.from('comp_verifications').insert([record]).select().maybeSingle();
-    if (insertResp.error) {
-      // handle likely schema/column issues (existing fallback) and other errors below
-      const msg = String(insertResp.error.message || '').toLowerCase();
-      if (msg.includes('column') || msg.includes('does not exist') || msg.includes('could not find')) {
-        // fallback to raw insert without .select()
-        const safe = { ...record };
-        delete safe.source;
-        delete safe.raw_openai;
-        delete safe.raw_ocr;
-        await supabase.from('comp_verifications').insert([safe]);
-        if (OCR_DEBUG) console.log('Inserted record using safe fallback (no select).');
-        // attempt to fetch latest row
-        const maybe = await getLatestRecord(record.user_id, record.guild_id);
-        return maybe;
-      }
+const OCR_STAT_LABELS = /^(games?|played|win|wins|loss|losses|points?|pts|rebounds?|reb|assists?|ast|stats?|career|season|overall|average|avg|totals?|steals?|blocks?|my|player|profile|rep|level|nba|2k\d*)$/i;
+
+function extractStatsFromOcrText(text) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map(l => l.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  const games_played = findLabeledNumber(lines, /games?\s*played|\bgp\b|\bgames\b/i);
+  let win_pct = findLabeledNumber(lines, /win\s*(?:%|pct|percent(?:age)?)|\bwin\b/i, { float: true });
+  if (win_pct != null && (win_pct < 0 || win_pct > 100)) win_pct = null;
+  const points = findLabeledNumber(lines, /\bpoints\b|\bpts\b/i);
+  const rebounds = findLabeledNumber(lines, /\brebounds?\b|\breb\b/i);
+  const assists = findLabeledNumber(lines, /\bassists?\b|\bast\b/i);
+
+  let platform = null;
+  const joined = lines.join(' ');
+  if (/\bpsn\b|playstation/i.test(joined)) platform = 'PSN';
+  else if (/\bxbox\b|\bxbl\b|gamertag/i.test(joined)) platform = 'Xbox';
+  else if (/\bsteam\b|\bpc\b/i.test(joined)) platform = 'PC';
+
+  // player tag: prefer an explicit "PSN:/Gamertag:" label, otherwise the first tag-like token in the header area
+  let player_tag = null;
+  const labeled = joined.match(/(?:psn(?:\s*id)?|gamertag|online\s*id|xbox|steam)\s*[:\-]?\s*([A-Za-z][A-Za-z0-9_\-]{2,23})/i);
+  if (labeled && !OCR_STAT_LABELS.test(labeled[1])) player_tag = labeled[1];
+  if (!player_tag) {
+    for (const line of lines.slice(0, 6)) {
+      const token = line.split(' ').find(t => /^[A-Za-z][A-Za-z0-9_\-]{2,23}$/.test(t) && /[a-z]/.test(t) && !OCR_STAT_LABELS.test(t));
+      if (token) { player_tag = token; break; }
+    }
+  }
 
-      // Detect duplicate-key constraint from Supabase/Postgres and handle gracefully
-      if (msg.includes('duplicate key') || msg.includes('violates unique constraint')) {
-        // attempt to fetch the conflicting record
-        try {
-          const conflictQuery = await supabase.from('comp_verifications')
-            .select()
-            .eq('guild_id', record.guild_id)
-            .eq('player_tag', record.player_tag)
-            .order('created_at', { ascending: false })
-            .limit(1);
-          const conflictRecord = (!conflictQuery.error && conflictQuery.data && conflictQuery.data.length > 0) ? conflictQuery.data[0] : null;
-
-          // Insert a fallback record that preserves the submission but avoids unique constraint by suffixing the player_tag
-          const suffix = `__dup__${crypto.randomUUID().slice(0,8)}`;
-          const alt = { ...record };
-          alt.player_tag = (alt.player_tag ? String(alt.player_tag).slice(0, 120) : 'unknown') + suffix;
-          alt.flagged = true;
-          alt.flag_reason = `Duplicate tag conflict during insert; original tag: ${record.player_tag}`;
-          if (alt.raw_openai === undefined) delete alt.raw_openai;
-          if (alt.source === undefined) delete alt.source;
-
-          const safeAlt = { ...alt };
-          // ensure fields that could cause issues removed
-          delete safeAlt.raw_ocr;
-
-          const altResp = await supabase.from('comp_verifications').insert([safeAlt]).select().maybeSingle();
-          if (!altResp.error && altResp.data) {
-            // notify guild logs about the collision so admin can reconcile
-            try {
-              const guild = await client.guilds.fetch(record.guild_id).catch(() => null);
-              if (guild) {
-                await logToGuild(guild, 'Duplicate-key fallback saved', `A new submission for tag **${record.player_tag}** conflicted with an existing record. The submission was saved as **${alt.player_tag}** and flagged for admin review.`);
-              }
-            } catch (_) {}
+  const modeMatch = joined.match(/pro[\s-]?am|\brec\b|the\s*rec|\bpark\b|the\s*city|theat(?:er|re)|\b1\s*v\s*1\b/i);
+  const game_mode = modeMatch ? normalizeGameMode(modeMatch[0]) : null;
+
+  // build metadata: only taken from labeled values, the bare tokens are too ambiguous in OCR text
+  const positionMatch = joined.match(/\bpos(?:ition)?\s*[:\-]?\s*(PG|SG|SF|PF|C)\b/i);
+  const archetypeMatch = joined.match(/\barchetype\s*[:\-]?\s*([A-Za-z0-9][A-Za-z0-9 \-]{2,40}?)(?=\s{2,}|\s+(?:height|weight|ovr|overall|badges?|pos(?:ition)?)\b|$)/i);
+  const heightMatch = joined.match(/\bheight\s*[:\-]?\s*(\d\s*['’]\s*\d{1,2})/i) || joined.match(/\b([4-7]\s*['’]\s*\d{1,2})\s*(?:"|”|'')/);
+  const build = normalizeBuildFields({
+    position: positionMatch ? positionMatch[1] : null,
+    archetype: archetypeMatch ? archetypeMatch[1] : null,
+    overall: findLabeledNumber(lines, /\bovr\b|\boverall\b/i),
+    height: heightMatch ? heightMatch[1] : null,
+    badge_count: findLabeledNumber(lines, /\bbadges?\b/i)
+  });
 
-            // --- NEW: create pending approval and post to admin approval channel (fallback to DM) ---
-            try {
-              const reqId = crypto.randomUUID();
-              const pending = {
-                userId: record.user_id,
-                guildId: record.guild_id,
-                prevTag: conflictRecord ? conflictRecord.player_tag : null,
-                newTag: record.player_tag,
-                newPlatform: record.platform || null,
-                oldImage: conflictRecord ? conflictRecord.image_url : null,
-                newImage: record.image_url || null,
-                otherUserId: conflictRecord ? conflictRecord.user_id : null,
-                otherImage: conflictRecord ? conflictRecord.image_url : null,
-                altSavedTag: alt.player_tag, // what was actually saved
-                adminChannelId: null,
-                adminMessageIds: []
-              };
-              pendingApprovals.set(reqId, pending);
-
-              // build embed + components
-              const adminEmbed = new EmbedBuilder()
-                .setTitle('Duplicate-key fallback saved — admin attention required')
-                .setDescription(`A new submission for tag **${record.player_tag}** conflicted with an existing record. The submission was automatically saved as **${alt.player_tag}** and flagged for admin review.\n\nIf you want to make the newly-saved submission the canonical tag, approve it. Otherwise, deny to keep the existing owner.`)
-                .addFields(
-                  { name: 'Guild', value: `<@${record.guild_id}> (${record.guild_id})`, inline: true },
-                  { name: 'New submitter', value: `<@${record.user_id}>`, inline: true },
-                  { name: 'Existing owner', value: conflictRecord ? `<@${conflictRecord.user_id}>` : 'None found', inline: true }
-                )
-                .setTimestamp();
-
-              const comps = new ActionRowBuilder().addComponents(
-                new ButtonBuilder().setCustomId(`admin_approve:${reqId}`).setLabel('Approve new submission').setStyle(ButtonStyle.Success),
-                new ButtonBuilder().setCustomId(`admin_deny:${reqId}`).setLabel('Keep existing / Deny new').setStyle(ButtonStyle.Danger)
-              );
-
-              // Try posting to admin approval channel first
-              let posted = false;
-              try {
-                const guild = await client.guilds.fetch(record.guild_id).catch(() => null);
-                if (guild) {
-                  const adminCh = await findOrCreateAdminApprovalChannel(guild).catch(() => null);
-                  if (adminCh) {
-                    const sent = await adminCh.send({ embeds: [adminEmbed], components: [comps] }).catch(() => null);
-                    if (sent) {
-                      posted = true;
-                      pending.adminChannelId = adminCh.id;
-                      pending.adminMessageIds.push(sent.id);
-                      // send images as followups in channel so they are visible
-                      if (pending.oldImage) {
-                        const oldMsg = await adminCh.send({ content: `Existing owner image for <@${conflictRecord.user_id}>: ${pending.oldImage}` }).catch(() => null);
-                        if (oldMsg) pending.adminMessageIds.push(oldMsg.id);
-                      }
-                      if (pending.newImage) {
-                        const newMsg = await adminCh.send({ content: `New submitter image: ${pending.newImage}` }).catch(() => null);
-                        if (newMsg) pending.adminMessageIds.push(newMsg.id);
-                      }
-                    }
-                  }
-                }
-              } catch (e) {
-                if (OCR_DEBUG) console.warn('Admin approval channel post failed:', e?.message || e);
-              }
+  return { games_played, win_pct, points, rebounds, assists, player_tag, platform, game_mode, ...build };
+}
 
-              if (!posted) {
-                // Fallback to DM the configured ADMIN_USER_ID
-                try {
-                  const adminUser = await client.users.fetch(ADMIN_USER_ID).catch(() => null);
-                  if (adminUser) {
-                    const dm1 = await adminUser.send({ embeds: [adminEmbed], components: [comps] }).catch(() => null);
-                    if (dm1) pending.adminMessageIds.push(dm1.id);
-                    if (pending.oldImage) {
-                      const oldDm = await adminUser.send({ content: `Existing owner image for <@${conflictRecord.user_id}>: ${pending.oldImage}` }).catch(() => null);
-                      if (oldDm) pending.adminMessageIds.push(oldDm.id);
-                    }
-                    if (pending.newImage) {
-                      const newDm = await adminUser.send({ content: `New submitter image: ${pending.newImage}` }).catch(() => null);
-                      if (newDm) pending.adminMessageIds.push(newDm.id);
-                    }
-                  } else {
-                    if (OCR_DEBUG) console.warn('Admin user not found for duplicate-key fallback', ADMIN_USER_ID);
-                  }
-                } catch (e) {
-                  if (OCR_DEBUG) console.warn('Failed to DM admin for duplicate-key fallback:', e?.message || e);
-                  try { if (record.guild_id) { const g = await client.guilds.fetch(record.guild_id).catch(() => null); if (g) await logToGuild(g, 'Duplicate-key fallback - admin DM failed', `Could not DM admin for duplicate-key fallback for tag ${record.player_tag}`); } } catch (_) {}
-                }
-              }
-            } catch (e) {
-              if (OCR_DEBUG) console.warn('Failed creating pending approval for duplicate-key fallback:', e?.message || e);
-            }
+function ocrLineConfidence(data, value) {
+  const needle = String(value).toLowerCase();
+  const line = (data?.lines || []).find(l => String(l.text || '').toLowerCase().includes(needle));
+  const conf = line ? line.confidence : data?.confidence;
+  return Number.isFinite(conf) ? conf / 100 : null;
+}
 
-            return altResp.data;
-          } else {
-            // if even fallback insert fails, rethrow original error
-            throw insertResp.error;
-          }
-        } catch (e) {
-          // final fallback: rethrow original error so caller can handle
-          throw insertResp.error;
-        }
-      }
+async function parseWithTesseract({ cleaned, binary }) {
+  if (!LOCAL_OCR_ENABLED) throw new Error('Local OCR disabled (LOCAL_OCR_ENABLED=false)');
+  const worker = await getTesseractWorker();
 
-      // otherwise throw the insert error
+  // The grayscale image usually reads better; the thresholded one fills in whatever it missed.
+  const texts = [];
+  const merged = {
+    games_played: null, win_pct: null, points: null, rebounds: null, assists: null, player_tag: null, platform: null, game_mode: null,
+    position: null, archetype: null, overall: null, height: null, badge_count: null
+  };
+  const confidence = {};
+  for (const buf of [cleaned, binary]) {
+    if (!buf) continue;
+    const { data } = await worker.recognize(buf);
+    const text = data?.text || '';
+    texts.push(text);
+    const fields = extractStatsFromOcrText(text);
+    for (const key of Object.keys(merged)) {
+      if (merged[key] == null && fields[key] != null) {
+        merged[key] = fields[key];
+        // tesseract only reports recognition confidence; use the confidence of the line the value came from
+        if (CONFIDENCE_FIELDS.includes(key)) confidence[key] = ocrLineConfidence(data, fields[key]);
+      }
+    }
+  }
+
+  const raw_ocr = texts.join('\n-----\n');
+  if (OCR_DEBUG) console.log('Tesseract raw text:', raw_ocr);
+
+  return {
+    source: 'tesseract',
+    raw_ocr,
+    ...merged,
+    confidence: normalizeConfidence(confidence)
+  };
+}
+
+// Compare two parses field by field. Fields either engine could not read are not treated as conflicts.
+function compareParses(primary, secondary) {
+  const conflicts = [];
+  const gpA = primary.games_played;
+  const gpB = secondary.games_played;
+  if (gpA != null && gpB != null && Math.abs(Number(gpA) - Number(gpB)) > CONSENSUS_GAMES_TOLERANCE) {
+    conflicts.push({ field: 'games_played', primary: gpA, secondary: gpB });
+  }
+  const wpA = primary.win_pct;
+  const wpB = secondary.win_pct;
+  if (wpA != null && wpB != null && Math.abs(Number(wpA) - Number(wpB)) > CONSENSUS_WIN_PCT_TOLERANCE) {
+    conflicts.push({ field: 'win_pct', primary: wpA, secondary: wpB });
+  }
+  const tagA = primary.player_tag;
+  const tagB = secondary.player_tag;
+  if (tagA && tagB && normalizeName(tagA) !== normalizeName(tagB)) {
+    conflicts.push({ field: 'player_tag', primary: tagA, secondary: tagB });
+  }
+  return conflicts;
+}
+
+// ================ stats parser providers =================
+// Every provider exposes the same interface so parseImageStats can walk a per-guild fallback order:
+//   init()        -> one-time setup on ready (model discovery etc.)
+//   isAvailable() -> whether the provider can be used right now
+//   parse(ctx)    -> parse result in the parseWithOpenAI shape; ctx = { imageUrl, buffer, image_hash, cleaned, binary }
+//   paid          -> each parse costs API credits (never used as the second opinion for a cached parse)
+const statsParserProviders = {
+  openai: {
+    paid: true,
+    async init() {
+      if (!openai) {
+        console.warn('OpenAI client not initialized; openai parser provider disabled.');
+        return;
+      }
+      activeOpenAIModel = await chooseWorkingOpenAIModel(PREFERRED_OPENAI_MODEL);
+      if (!activeOpenAIModel) {
+        console.warn('No OpenAI model candidates responded successfully. openai parser provider disabled until a working model/API key is available.');
+      }
+    },
+    isAvailable: () => Boolean(openai && activeOpenAIModel),
+    parse: (ctx) => parseWithOpenAI(ctx.imageUrl, ctx.profile)
+  },
+  tesseract: {
+    async init() {
+      if (!LOCAL_OCR_ENABLED) console.warn('LOCAL_OCR_ENABLED=false; tesseract parser provider disabled.');
+    },
+    isAvailable: () => LOCAL_OCR_ENABLED,
+    parse: (ctx) => parseWithTesseract(ctx)
+  },
+  // Replays recorded parse results (PARSER_FIXTURE_DIR/<image_hash>.json) so the whole flow can run offline.
+  fixture: {
+    async init() {
+      if (PARSER_FIXTURE_DIR) console.log('Parser fixtures directory:', PARSER_FIXTURE_DIR, PARSER_FIXTURE_RECORD ? '(recording)' : '');
+    },
+    isAvailable: () => Boolean(PARSER_FIXTURE_DIR),
+    async parse(ctx) {
+      const file = path.join(PARSER_FIXTURE_DIR, `${ctx.image_hash}.json`);
+      let raw;
+      try {
+        raw = await fs.readFile(file, 'utf8');
+      } catch (err) {
+        throw new Error(`No recorded fixture for image ${ctx.image_hash}`);
+      }
+      const recorded = JSON.parse(raw);
+      return { ...recorded, source: `fixture:${recorded.source || 'unknown'}` };
+    }
+  }
+};
+
+async function initStatsParserProviders() {
+  for (const [name, provider] of Object.entries(statsParserProviders)) {
+    try {
+      await provider.init();
+    } catch (err) {
+      console.warn(`Parser provider ${name} init failed:`, err?.message || err);
+    }
+  }
+}
+
+function parseProviderList(value) {
+  return String(value || '')
+    .split(',')
+    .map(p => p.trim().toLowerCase())
+    .filter(p => p && statsParserProviders[p]);
+}
+
+// Provider fallback order for a guild: comp_settings.parser_providers (comma list) or PARSER_PROVIDERS
+async function getParserProvidersForGuild(guildId) {
+  try {
+    if (guildId) {
+      const { data, error } = await supabase.from('comp_settings').select('parser_providers').eq('guild_id', guildId).maybeSingle();
+      if (!error && data?.parser_providers) {
+        const list = parseProviderList(data.parser_providers);
+        if (list.length > 0) return list;
+      }
+    }
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('getParserProvidersForGuild error:', err?.message || err);
+  }
+  return parseProviderList(PARSER_PROVIDERS);
+}
+
+async function recordParseFixture(image_hash, parsed) {
+  try {
+    await fs.mkdir(PARSER_FIXTURE_DIR, { recursive: true });
+    await fs.writeFile(path.join(PARSER_FIXTURE_DIR, `${image_hash}.json`), JSON.stringify(parsed, null, 2));
+  } catch (err) {
+    console.warn('Failed to record parser fixture:', err?.message || err);
+  }
+}
+
+// ---------- parse cache (comp_parse_cache, keyed by image SHA-256; result.primary_provider records which provider made it) ----------
+async function getCachedParse(image_hash) {
+  if (!(PARSE_CACHE_TTL_HOURS > 0)) return null;
+  try {
+    const { data, error } = await supabase.from('comp_parse_cache').select('result, expires_at').eq('image_hash', image_hash).maybeSingle();
+    if (error || !data?.result) return null;
+    if (data.expires_at && new Date(data.expires_at).getTime() < Date.now()) return null;
+    return data.result;
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('getCachedParse error:', err?.message || err);
+    return null;
+  }
+}
+async function saveCachedParse(image_hash, parsed) {
+  if (!(PARSE_CACHE_TTL_HOURS > 0)) return;
+  try {
+    const now = Date.now();
+    await supabase.from('comp_parse_cache').upsert({
+      image_hash,
+      result: parsed,
+      source: parsed.source || null,
+      created_at: new Date(now).toISOString(),
+      expires_at: new Date(now + PARSE_CACHE_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    }, { onConflict: ['image_hash'] });
+  } catch (err) {
+    console.warn('Failed to persist parse result to comp_parse_cache:', err?.message || err);
+  }
+}
+
+// forceReparse skips the cache lookup (the fresh result still replaces the cached one).
+// Only the primary provider's parse is cached, tagged with that provider; a guild whose provider order leads
+// with a different provider does not reuse it. The consensus verdict is never cached: the second-opinion
+// pass runs again on a cache hit, but only with free providers so a hit never pays for a parse.
+// Forensics always run on the downloaded buffer and are not cached.
+async function parseImageStats(imageUrl, { guildId = null, buffer = null, forceReparse = false, profile = getGameProfile() } = {}) {
+  const imageBuffer = buffer || await downloadImageToBuffer(imageUrl);
+  const image_hash = await computeImageHash(imageBuffer);
+  const forensics = await analyzeImageForensics(imageBuffer).catch(err => {
+    if (OCR_DEBUG) console.warn('Image forensics failed:', err?.message || err);
+    return null;
+  });
+  const tamper = forensics ? { tamper_score: forensics.score, tamper_reasons: forensics.reasons } : {};
+
+  const order = await getParserProvidersForGuild(guildId);
+  let ctx = null;
+  const getContext = async () => {
+    if (!ctx) ctx = { imageUrl, buffer: imageBuffer, image_hash, ...(await preprocessForOCR(imageBuffer)), profile };
+    return ctx;
+  };
+
+  const tried = new Set();
+  let parsed = null;
+  let primaryName = null;
+  if (!forceReparse) {
+    const cached = await getCachedParse(image_hash);
+    const leadProvider = order.find(n => statsParserProviders[n].isAvailable());
+    // a parse made under another game profile's prompt, or by a provider this guild does not lead with, is not reused
+    if (cached && (!cached.game_profile || cached.game_profile === profile.id) && cached.primary_provider === leadProvider) {
+      if (OCR_DEBUG) console.log('Using cached parse for image', image_hash);
+      parsed = { ...cached, image_hash, cached: true };
+      primaryName = cached.primary_provider;
+      tried.add(primaryName);
+    }
+  }
+
+  if (!parsed) {
+    let lastErr = null;
+    for (const name of order) {
+      const provider = statsParserProviders[name];
+      if (!provider.isAvailable()) continue;
+      tried.add(name);
+      try {
+        parsed = await provider.parse(await getContext());
+        primaryName = name;
+        break;
+      } catch (err) {
+        // keep verification working during outages by falling through to the next provider
+        lastErr = err;
+        console.warn(`Parser provider ${name} failed${order.length > 1 ? ', trying next provider' : ''}:`, err?.message || err);
+      }
+    }
+    if (!parsed) throw lastErr || new Error('No stats parser provider available');
+
+    if (PARSER_FIXTURE_RECORD && PARSER_FIXTURE_DIR && primaryName !== 'fixture') {
+      await recordParseFixture(image_hash, parsed);
+    }
+
+    parsed.image_hash = image_hash;
+    parsed.game_profile = profile.id;
+    parsed.primary_provider = primaryName;
+    await saveCachedParse(image_hash, parsed);
+  }
+
+  // Second opinion: cross-check against the next available provider (fixtures never act as a second opinion).
+  // Replayed fixtures get no second opinion either, so offline replay never calls a paid provider.
+  const secondName = PARSER_CONSENSUS_ENABLED && primaryName !== 'fixture'
+    ? order.find(n => n !== primaryName && n !== 'fixture' && !tried.has(n) && statsParserProviders[n].isAvailable() &&
+      !(parsed.cached && statsParserProviders[n].paid))
+    : null;
+  if (secondName) {
+    try {
+      const second = await statsParserProviders[secondName].parse(await getContext());
+      const conflicts = compareParses(parsed, second);
+      if (second.raw_ocr && !parsed.raw_ocr) parsed.raw_ocr = second.raw_ocr;
+      parsed.consensus = { compared_with: second.source, conflicts };
+      if (conflicts.length > 0) {
+        parsed.flagged = true;
+        parsed.flag_reason = 'Parser disagreement: ' + conflicts
+          .map(c => `${c.field} ${parsed.source}=${c.primary} vs ${second.source}=${c.secondary}`)
+          .join('; ');
+      }
+    } catch (err) {
+      if (OCR_DEBUG) console.warn(`Consensus pass with ${secondName} failed (using primary parse only):`, err?.message || err);
+    }
+  }
+
+  return Object.assign(parsed, tamper);
+}
+
+// ================ Supabase helpers ================
+// Every row of a query, read in pages: PostgREST caps a single response (1000 rows by default), so
+// anything that acts on "all records" must not trust one response. buildQuery returns a fresh, ordered query.
+const SUPABASE_PAGE_SIZE = 1000;
+async function fetchAllRows(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += SUPABASE_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + SUPABASE_PAGE_SIZE - 1);
+    if (error) throw new Error(error.message || String(error));
+    rows.push(...(data || []));
+    if (!data || data.length < SUPABASE_PAGE_SIZE) return rows;
+  }
+}
+
+// improved save: try insert, then fetch latest row for the user/guild for consistency
+// added duplicate-key fallback to avoid crashing on concurrent insert races
+// Columns added by later versions; dropped and retried when an insert fails on an older comp_verifications schema
+const OPTIONAL_RECORD_COLUMNS = [
+  'source', 'raw_openai', 'raw_ocr', 'confidence', 'game_profile', 'season', 'game_mode', 'mode_stats',
+  ...BUILD_FIELDS, 'phash', 'phash_center', 'tamper_score', 'tamper_reasons', 'image_urls', 'image_hashes', 'field_sources'
+];
+function stripOptionalColumns(record) {
+  const safe = { ...record };
+  for (const col of OPTIONAL_RECORD_COLUMNS) delete safe[col];
+  return safe;
+}
+
+// The submission's tag is already taken (unique constraint): save it under a suffixed tag, flagged, and open an
+// admin approval to decide who keeps the tag. Returns the saved row, or null when the fallback insert failed too.
+async function saveDuplicateTagFallback(record) {
+  const conflictQuery = await supabase.from('comp_verifications')
+    .select()
+    .eq('guild_id', record.guild_id)
+    .eq('player_tag', record.player_tag)
+    .order('created_at', { ascending: false })
+    .limit(1);
+  const conflictRecord = (!conflictQuery.error && conflictQuery.data && conflictQuery.data.length > 0) ? conflictQuery.data[0] : null;
+
+  // preserve the submission but avoid the unique constraint by suffixing the player_tag
+  const suffix = `__dup__${crypto.randomUUID().slice(0,8)}`;
+  const alt = { ...record };
+  alt.player_tag = (alt.player_tag ? String(alt.player_tag).slice(0, 120) : 'unknown') + suffix;
+  alt.flagged = true;
+  alt.flag_reason = `Duplicate tag conflict during insert; original tag: ${record.player_tag}`;
+  if (alt.raw_openai === undefined) delete alt.raw_openai;
+  if (alt.source === undefined) delete alt.source;
+  delete alt.raw_ocr;
+
+  const altResp = await supabase.from('comp_verifications').insert([alt]).select().maybeSingle();
+  if (altResp.error || !altResp.data) return null;
+
+  const guild = await client.guilds.fetch(record.guild_id).catch(() => null);
+  // notify guild logs about the collision so admin can reconcile
+  if (guild) {
+    await logToGuild(guild, 'Duplicate-key fallback saved', `A new submission for tag **${record.player_tag}** conflicted with an existing record. The submission was saved as **${alt.player_tag}** and flagged for admin review.`).catch(() => null);
+  }
+
+  // admin approval in the admin approval channel (falls back to DM)
+  try {
+    const reqId = crypto.randomUUID();
+    const pending = {
+      userId: record.user_id,
+      guildId: record.guild_id,
+      prevTag: conflictRecord ? conflictRecord.player_tag : null,
+      newTag: record.player_tag,
+      newPlatform: record.platform || null,
+      oldImage: conflictRecord ? conflictRecord.image_url : null,
+      newImage: record.image_url || null,
+      otherUserId: conflictRecord ? conflictRecord.user_id : null,
+      otherImage: conflictRecord ? conflictRecord.image_url : null,
+      altSavedTag: alt.player_tag, // what was actually saved
+      adminChannelId: null,
+      adminMessageIds: []
+    };
+    await savePendingApproval(reqId, pending);
+
+    const adminEmbed = new EmbedBuilder()
+      .setTitle('Duplicate-key fallback saved — admin attention required')
+      .setDescription(`A new submission for tag **${record.player_tag}** conflicted with an existing record. The submission was automatically saved as **${alt.player_tag}** and flagged for admin review.\n\nIf you want to make the newly-saved submission the canonical tag, approve it. Otherwise, deny to keep the existing owner.`)
+      .addFields(
+        { name: 'Guild', value: `<@${record.guild_id}> (${record.guild_id})`, inline: true },
+        { name: 'New submitter', value: `<@${record.user_id}>`, inline: true },
+        { name: 'Existing owner', value: conflictRecord ? `<@${conflictRecord.user_id}>` : 'None found', inline: true }
+      )
+      .setTimestamp();
+
+    const posted = await postApprovalMessages(guild, reqId, pending, adminEmbed, buildPendingApprovalComponents(reqId, pending));
+    if (!posted && guild) await logToGuild(guild, 'Duplicate-key fallback - admins not reachable', `No admin channel or admin DM was available for the duplicate-key fallback for tag ${record.player_tag}`);
+  } catch (e) {
+    if (OCR_DEBUG) console.warn('Failed creating pending approval for duplicate-key fallback:', e?.message || e);
+  }
+  return altResp.data;
+}
+
+async function saveVerificationRecord(record) {
+  try {
+    const insertResp = await supabase.from('comp_verifications').insert([record]).select().maybeSingle();
+    if (insertResp.error) {
+      // handle likely schema/column issues (existing fallback) and other errors below
+      const msg = String(insertResp.error.message || '').toLowerCase();
+      if (msg.includes('column') || msg.includes('does not exist') || msg.includes('could not find')) {
+        // fallback to raw insert without .select()
+        await supabase.from('comp_verifications').insert([stripOptionalColumns(record)]);
+        if (OCR_DEBUG) console.log('Inserted record using safe fallback (no select).');
+        // attempt to fetch latest row
+        const maybe = await getLatestRecord(record.user_id, record.guild_id);
+        return maybe;
+      }
+
+      // Detect duplicate-key constraint from Supabase/Postgres and handle gracefully
+      if (msg.includes('duplicate key') || msg.includes('violates unique constraint')) {
+        const saved = await saveDuplicateTagFallback(record).catch(() => null);
+        if (saved) return saved;
+        // if even fallback insert fails, rethrow original error
+        throw insertResp.error;
+      }
+
+      // otherwise throw the insert error
       throw insertResp.error;
     }
     // InsertResp.data should be the inserted row - but to be safe we'll fetch latest
@@ -872,142 +2000,16 @@ async function saveVerificationRecord(record) {
     const emsg = String(err?.message || err).toLowerCase();
     // Keep previous safe fallback for column errors
     if (emsg.includes('column') || emsg.includes('does not exist') || emsg.includes('could not find')) {
-      try {
-        const safe = { ...record };
-        delete safe.source;
-        delete safe.raw_openai;
-        delete safe.raw_ocr;
-        await supabase.from('comp_verifications').insert([safe]);
-        if (OCR_DEBUG) console.log('Inserted record using safe fallback (caught).');
-        const maybe = await getLatestRecord(record.user_id, record.guild_id);
-        return maybe;
-      } catch (e) {
-        throw e;
-      }
+      await supabase.from('comp_verifications').insert([stripOptionalColumns(record)]);
+      if (OCR_DEBUG) console.log('Inserted record using safe fallback (caught).');
+      const maybe = await getLatestRecord(record.user_id, record.guild_id);
+      return maybe;
     }
 
     // handle duplicate-key error code 23505 from Postgres if present (caught at exception level)
     if (err && (err.code === '23505' || emsg.includes('duplicate key') || emsg.includes('violates unique constraint'))) {
-      try {
-        const conflictQuery = await supabase.from('comp_verifications')
-          .select()
-          .eq('guild_id', record.guild_id)
-          .eq('player_tag', record.player_tag)
-          .order('created_at', { ascending: false })
-          .limit(1);
-        const conflictRecord = (!conflictQuery.error && conflictQuery.data && conflictQuery.data.length > 0) ? conflictQuery.data[0] : null;
-
-        const suffix = `__dup__${crypto.randomUUID().slice(0,8)}`;
-        const alt = { ...record };
-        alt.player_tag = (alt.player_tag ? String(alt.player_tag).slice(0, 120) : 'unknown') + suffix;
-        alt.flagged = true;
-        alt.flag_reason = `Duplicate tag conflict during insert; original tag: ${record.player_tag}`;
-        if (alt.raw_openai === undefined) delete alt.raw_openai;
-        if (alt.source === undefined) delete alt.source;
-        delete alt.raw_ocr;
-
-        const altResp = await supabase.from('comp_verifications').insert([alt]).select().maybeSingle();
-        if (!altResp.error && altResp.data) {
-          try {
-            const guild = await client.guilds.fetch(record.guild_id).catch(() => null);
-            if (guild) {
-              await logToGuild(guild, 'Duplicate-key fallback saved', `A new submission for tag **${record.player_tag}** conflicted with an existing record. The submission was saved as **${alt.player_tag}** and flagged for admin review.`);
-            }
-          } catch (_) {}
-
-          // --- NEW: create pending approval and post to admin approval channel (same as above) ---
-          try {
-            const reqId = crypto.randomUUID();
-            const pending = {
-              userId: record.user_id,
-              guildId: record.guild_id,
-              prevTag: conflictRecord ? conflictRecord.player_tag : null,
-              newTag: record.player_tag,
-              newPlatform: record.platform || null,
-              oldImage: conflictRecord ? conflictRecord.image_url : null,
-              newImage: record.image_url || null,
-              otherUserId: conflictRecord ? conflictRecord.user_id : null,
-              otherImage: conflictRecord ? conflictRecord.image_url : null,
-              altSavedTag: alt.player_tag,
-              adminChannelId: null,
-              adminMessageIds: []
-            };
-            pendingApprovals.set(reqId, pending);
-
-            const adminEmbed = new EmbedBuilder()
-              .setTitle('Duplicate-key fallback saved — admin attention required')
-              .setDescription(`A new submission for tag **${record.player_tag}** conflicted with an existing record. The submission was automatically saved as **${alt.player_tag}** and flagged for admin review.\n\nIf you want to make the newly-saved submission the canonical tag, approve it. Otherwise, deny to keep the existing owner.`)
-              .addFields(
-                { name: 'Guild', value: `<@${record.guild_id}> (${record.guild_id})`, inline: true },
-                { name: 'New submitter', value: `<@${record.user_id}>`, inline: true },
-                { name: 'Existing owner', value: conflictRecord ? `<@${conflictRecord.user_id}>` : 'None found', inline: true }
-              )
-              .setTimestamp();
-
-            const comps = new ActionRowBuilder().addComponents(
-              new ButtonBuilder().setCustomId(`admin_approve:${reqId}`).setLabel('Approve new submission').setStyle(ButtonStyle.Success),
-              new ButtonBuilder().setCustomId(`admin_deny:${reqId}`).setLabel('Keep existing / Deny new').setStyle(ButtonStyle.Danger)
-            );
-
-            let posted = false;
-            try {
-              const guild = await client.guilds.fetch(record.guild_id).catch(() => null);
-              if (guild) {
-                const adminCh = await findOrCreateAdminApprovalChannel(guild).catch(() => null);
-                if (adminCh) {
-                  const sent = await adminCh.send({ embeds: [adminEmbed], components: [comps] }).catch(() => null);
-                  if (sent) {
-                    posted = true;
-                    pending.adminChannelId = adminCh.id;
-                    pending.adminMessageIds.push(sent.id);
-                    if (pending.oldImage) {
-                      const oldMsg = await adminCh.send({ content: `Existing owner image for <@${conflictRecord.user_id}>: ${pending.oldImage}` }).catch(() => null);
-                      if (oldMsg) pending.adminMessageIds.push(oldMsg.id);
-                    }
-                    if (pending.newImage) {
-                      const newMsg = await adminCh.send({ content: `New submitter image: ${pending.newImage}` }).catch(() => null);
-                      if (newMsg) pending.adminMessageIds.push(newMsg.id);
-                    }
-                  }
-                }
-              }
-            } catch (e) {
-              if (OCR_DEBUG) console.warn('Admin approval channel post failed:', e?.message || e);
-            }
-
-            if (!posted) {
-              try {
-                const adminUser = await client.users.fetch(ADMIN_USER_ID).catch(() => null);
-                if (adminUser) {
-                  const dm1 = await adminUser.send({ embeds: [adminEmbed], components: [comps] }).catch(() => null);
-                  if (dm1) pending.adminMessageIds.push(dm1.id);
-                  if (pending.oldImage) {
-                    const oldDm = await adminUser.send({ content: `Existing owner image for <@${conflictRecord.user_id}>: ${pending.oldImage}` }).catch(() => null);
-                    if (oldDm) pending.adminMessageIds.push(oldDm.id);
-                  }
-                  if (pending.newImage) {
-                    const newDm = await adminUser.send({ content: `New submitter image: ${pending.newImage}` }).catch(() => null);
-                    if (newDm) pending.adminMessageIds.push(newDm.id);
-                  }
-                } else {
-                  if (OCR_DEBUG) console.warn('Admin user not found for duplicate-key fallback', ADMIN_USER_ID);
-                }
-              } catch (e) {
-                if (OCR_DEBUG) console.warn('Failed to DM admin for duplicate-key fallback:', e?.message || e);
-                try { if (record.guild_id) { const g = await client.guilds.fetch(record.guild_id).catch(() => null); if (g) await logToGuild(g, 'Duplicate-key fallback - admin DM failed', `Could not DM admin for duplicate-key fallback for tag ${record.player_tag}`); } } catch (_) {}
-              }
-            }
-          } catch (e) {
-            if (OCR_DEBUG) console.warn('Failed creating pending approval for duplicate-key fallback:', e?.message || e);
-          }
-
-          return altResp.data;
-        } else {
-          throw err;
-        }
-      } catch (e) {
-        throw err;
-      }
+      const saved = await saveDuplicateTagFallback(record).catch(() => null);
+      if (saved) return saved;
     }
 
     // if all else fails, rethrow
@@ -1041,6 +2043,15 @@ async function updateLatestRecord(user_id, guild_id, updates) {
   }
 }
 
+// tier is written on its own so a schema without the tier column does not block the verification update
+async function saveRecordTier(user_id, guild_id, tier) {
+  try {
+    await updateLatestRecord(user_id, guild_id, { tier });
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('Failed to save tier on record:', err?.message || err);
+  }
+}
+
 // --- helper that will attempt an update and retry by moving aside conflicting tag if unique constraint fails ---
 async function safeUpdateLatestRecord(user_id, guild_id, updates) {
   try {
@@ -1096,15 +2107,93 @@ async function getLatestRecord(user_id, guild_id) {
   }
 }
 
+// Most recent records for a user in a guild, newest first. Pass season / gameProfile (undefined = any) to keep
+// stats that reset with a new season or game version apart; rows without a game_profile count as the default one.
+async function getRecentRecords(user_id, guild_id, { limit = 10, season, gameProfile } = {}) {
+  let query = supabase.from('comp_verifications')
+    .select()
+    .eq('user_id', user_id)
+    .eq('guild_id', guild_id);
+  if (season !== undefined) query = season ? query.eq('season', season) : query.is('season', null);
+  if (gameProfile) {
+    query = gameProfile === DEFAULT_GAME_PROFILE
+      ? query.or(`game_profile.eq.${gameProfile},game_profile.is.null`)
+      : query.eq('game_profile', gameProfile);
+  }
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
 async function findRecordByHash(user_id, guild_id, image_hash) {
   try {
     const { data, error } = await supabase.from('comp_verifications').select().eq('user_id', user_id).eq('guild_id', guild_id).eq('image_hash', image_hash);
     if (error) throw error;
-    return (data && data[0]) || null;
+    if (data && data[0]) return data[0];
   } catch (err) {
     if (OCR_DEBUG) console.warn('findRecordByHash error', err?.message || err);
     return null;
   }
+  // secondary screenshots of multi-image submissions are only in image_hashes
+  try {
+    const { data, error } = await supabase.from('comp_verifications').select().eq('user_id', user_id).eq('guild_id', guild_id).contains('image_hashes', [image_hash]);
+    if (error) throw error;
+    return (data && data[0]) || null;
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('findRecordByHash image_hashes lookup error', err?.message || err);
+    return null;
+  }
+}
+
+// Records from other users in the guild whose perceptual hash is within maxDistance, closest first.
+// A 64-bit dHash of a stats screen mostly captures the game's layout, so two players' genuine screenshots of the
+// same screen can land within the threshold; callers should confirm the content matches (see sameScreenshotContent).
+// hashes: { phashes: [full-image dHash], centerHashes: [centre dHash at each scale] }. Rows are paged so guilds
+// past PostgREST's row cap are still compared in full.
+const PHASH_PAGE_SIZE = 1000;
+async function findSimilarImageRecords(guild_id, { phashes = [], centerHashes = [] }, excludeUserId, maxDistance) {
+  try {
+    if (!phashes.length && !centerHashes.length) return [];
+    let columns = 'id, user_id, player_tag, games_played, win_pct, image_url, phash, phash_center, created_at';
+    const matches = [];
+    for (let from = 0; ; from += PHASH_PAGE_SIZE) {
+      let { data, error } = await supabase.from('comp_verifications')
+        .select(columns)
+        .eq('guild_id', guild_id)
+        .neq('user_id', excludeUserId)
+        .not('phash', 'is', null)
+        .order('id', { ascending: true })
+        .range(from, from + PHASH_PAGE_SIZE - 1);
+      if (error && from === 0 && columns.includes('phash_center')) {
+        // older schema without phash_center: compare full-image hashes only
+        columns = 'id, user_id, player_tag, games_played, win_pct, image_url, phash, created_at';
+        from -= PHASH_PAGE_SIZE;
+        continue;
+      }
+      if (error) throw error;
+      for (const r of data || []) {
+        const distance = Math.min(
+          ...phashes.map(h => hammingDistanceHex(h, r.phash)),
+          ...centerHashes.map(h => hammingDistanceHex(h, r.phash_center))
+        );
+        if (distance <= maxDistance) matches.push({ ...r, distance });
+      }
+      if (!data || data.length < PHASH_PAGE_SIZE) break;
+    }
+    return matches.sort((a, b) => a.distance - b.distance);
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('findSimilarImageRecords error', err?.message || err);
+    return [];
+  }
+}
+
+// True when a parsed upload and a stored record show the same player tag, or the same games played and win %.
+function sameScreenshotContent(parsed, rec) {
+  if (parsed.player_tag && rec.player_tag && normalizeName(parsed.player_tag) === normalizeName(rec.player_tag)) return true;
+  return parsed.games_played != null && rec.games_played != null && parsed.win_pct != null && rec.win_pct != null &&
+    Number(parsed.games_played) === Number(rec.games_played) && Math.abs(Number(parsed.win_pct) - Number(rec.win_pct)) < 0.05;
 }
 
 async function findRecordByTag(guild_id, tag) {
@@ -1125,27 +2214,248 @@ async function findRecordByTag(guild_id, tag) {
   }
 }
 
+// Build a comp_verifications row from a parse result. Optional parser columns are only set when present
+// so saveVerificationRecord's column fallback can strip them on older schemas.
+function buildVerificationRecord(user, guildId, parsed, { imageUrl, imageHash, expiresAt = null, flagged = false, flagReason = null }) {
+  const row = {
+    user_id: user.id,
+    username: `${user.username}#${user.discriminator}`,
+    guild_id: guildId,
+    win_pct: parsed.win_pct,
+    games_played: parsed.games_played,
+    points: parsed.points || null,
+    rebounds: parsed.rebounds || null,
+    assists: parsed.assists || null,
+    player_tag: parsed.player_tag || null,
+    platform: parsed.platform || null,
+    image_url: imageUrl,
+    image_hash: parsed.image_hash || imageHash,
+    verified: false,
+    verified_at: null,
+    expires_at: expiresAt,
+    flagged,
+    flag_reason: flagReason,
+    created_at: new Date().toISOString()
+  };
+  if (parsed.raw_openai) row.raw_openai = parsed.raw_openai;
+  if (parsed.raw_ocr) row.raw_ocr = parsed.raw_ocr;
+  if (parsed.game_profile) row.game_profile = parsed.game_profile;
+  if (parsed.season) row.season = parsed.season;
+  if (parsed.game_mode) row.game_mode = parsed.game_mode;
+  for (const field of BUILD_FIELDS) {
+    if (parsed[field] != null) row[field] = parsed[field];
+  }
+  if (parsed.mode_stats) row.mode_stats = parsed.mode_stats;
+  if (parsed.confidence) row.confidence = parsed.confidence;
+  if (parsed.phash) row.phash = parsed.phash;
+  if (parsed.phash_center) row.phash_center = parsed.phash_center;
+  if (parsed.tamper_score != null) {
+    row.tamper_score = parsed.tamper_score;
+    row.tamper_reasons = parsed.tamper_reasons || [];
+  }
+  if (parsed.image_urls && parsed.image_urls.length > 1) {
+    row.image_urls = parsed.image_urls;
+    row.image_hashes = parsed.image_hashes;
+    row.field_sources = parsed.field_sources;
+  }
+  if (parsed.source) row.source = parsed.source;
+  return row;
+}
+
 // evaluation helpers
-function evaluateStats({ win_pct, games_played }) {
-  // Coerce into numbers and validate
-  const gp = Number(games_played);
-  const wp = Number(win_pct);
+// Game modes as stored on records; parser output is normalized to these keys
+const GAME_MODES = { rec: 'Rec', park: 'Park', proam: 'Pro-Am', theater: 'Theater', '1v1': '1v1' };
+function normalizeGameMode(raw) {
+  if (!raw) return null;
+  const s = String(raw).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (s.includes('proam')) return 'proam';
+  if (s.includes('rec')) return 'rec';
+  if (s.includes('park') || s.includes('city') || s.includes('street')) return 'park';
+  if (s.includes('theater') || s.includes('theatre')) return 'theater';
+  if (s.includes('1v1') || s.includes('oneonone')) return '1v1';
+  return null;
+}
+
+// Per-mode threshold config: { <mode>: { counts?: bool, min_games?: number, min_win_pct?: number }, default?: {...} }
+// Missing keys fall back to the profile/global minimums; counts:false excludes a mode from Comp entirely.
+function parseModeThresholds(value) {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.warn('Invalid mode thresholds JSON:', err?.message || err);
+    return {};
+  }
+}
+
+// Tier list sorted from lowest to highest requirement; entries without a name are dropped
+function parseTiers(value) {
+  let list = value;
+  if (typeof value === 'string') {
+    if (!value.trim()) return [];
+    try {
+      list = JSON.parse(value);
+    } catch (err) {
+      console.warn('Invalid tiers JSON:', err?.message || err);
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .filter(t => t && typeof t.name === 'string' && t.name.trim())
+    .map(t => ({
+      name: t.name.trim(),
+      min_win_pct: Number(t.min_win_pct) || 0,
+      min_games: Number(t.min_games) || 0,
+      role_id: t.role_id || null
+    }))
+    .sort((a, b) => (a.min_win_pct - b.min_win_pct) || (a.min_games - b.min_games));
+}
+
+// Separate query so a missing tiers column does not hide the other threshold columns
+async function getTiersForGuild(guildId) {
+  try {
+    const { data, error } = await supabase.from('comp_settings').select('tiers').eq('guild_id', guildId).maybeSingle();
+    if (!error && data?.tiers) {
+      const tiers = parseTiers(data.tiers);
+      if (tiers.length > 0) return tiers;
+    }
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('getTiersForGuild error:', err?.message || err);
+  }
+  return parseTiers(COMP_TIERS);
+}
+
+// Thresholds for a guild + game profile: comp_settings columns first (only set through /comp config; legacy
+// env copies are cleared by ensureCompSettingsRow), then the profile defaults, then env.
+// The result can be passed straight to evaluateStats as its options.
+async function resolveThresholds(guildId, profileId = null) {
+  const limits = {
+    ...profileThresholds(getGameProfile(profileId)),
+    modeThresholds: parseModeThresholds(MODE_THRESHOLDS),
+    tiers: await getTiersForGuild(guildId)
+  };
+  try {
+    const { data, error } = await supabase.from('comp_settings')
+      .select('min_games, min_win_pct, reverify_days, mode_thresholds')
+      .eq('guild_id', guildId)
+      .maybeSingle();
+    if (!error && data) {
+      if (data.min_games != null && Number.isFinite(Number(data.min_games))) limits.minGames = Number(data.min_games);
+      if (data.min_win_pct != null && Number.isFinite(Number(data.min_win_pct))) limits.minWinPct = Number(data.min_win_pct);
+      if (data.reverify_days != null && Number(data.reverify_days) > 0) limits.reverifyDays = Number(data.reverify_days);
+      if (data.mode_thresholds) limits.modeThresholds = parseModeThresholds(data.mode_thresholds);
+    }
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('resolveThresholds error:', err?.message || err);
+  }
+  return limits;
+}
+
+// Highest tier whose requirements are met; a mode's own minimums act as a floor under every tier
+function highestTierMet(tiers, gp, wp, floorGames, floorWin) {
+  for (let i = tiers.length - 1; i >= 0; i--) {
+    const t = tiers[i];
+    if (gp >= Math.max(t.min_games, floorGames) && wp >= Math.max(t.min_win_pct, floorWin)) return t;
+  }
+  return null;
+}
+
+// Evaluate a record/parse against the thresholds. Stats screens with several mode sections (mode_stats) pass
+// when any counting section passes; otherwise the single game_mode (or unknown mode) is used.
+// tier is the name of the highest tier met across passing sections (null without tiers).
+function evaluateStats({ win_pct, games_played, game_mode = null, mode_stats = null }, { modeThresholds = {}, minGames = MIN_GAMES, minWinPct = MIN_WIN_PCT, tiers = [] } = {}) {
+  const sections = Array.isArray(mode_stats) && mode_stats.length > 0
+    ? mode_stats
+    : [{ mode: game_mode, games_played, win_pct }];
+
+  let best = null;
+  let bestPass = null;
+  const excluded = [];
+  for (const section of sections) {
+    const mode = normalizeGameMode(section.mode);
+    const cfg = (mode && modeThresholds[mode]) || modeThresholds.default || {};
+    if (cfg.counts === false) {
+      excluded.push(GAME_MODES[mode] || section.mode || 'unknown');
+      continue;
+    }
+    // Coerce into numbers and validate
+    const gp = Number(section.games_played);
+    const wp = Number(section.win_pct);
+    const floorGames = Number(cfg.min_games ?? minGames);
+    const floorWin = Number(cfg.min_win_pct ?? minWinPct);
+    const meetsGames = Number.isFinite(gp) && gp >= floorGames;
+    const meetsWin = Number.isFinite(wp) && wp >= floorWin;
+    const result = { passed: meetsGames && meetsWin, meetsGames, meetsWin, mode, tier: null };
+    if (result.passed) {
+      const tier = highestTierMet(tiers, gp, wp, floorGames, floorWin);
+      result.tier = tier ? tier.name : null;
+      const rank = tier ? tiers.indexOf(tier) : -1;
+      if (!bestPass || rank > bestPass.rank) bestPass = { result, rank };
+      continue;
+    }
+    // Keep the closest failing section so the caller can report what was missing
+    if (!best || (meetsGames + meetsWin) > (best.meetsGames + best.meetsWin)) best = result;
+  }
+
+  if (bestPass) return bestPass.result;
+  if (!best) {
+    return { passed: false, meetsGames: false, meetsWin: false, mode: null, tier: null, note: `Stats from ${excluded.join(', ')} do not count toward Comp.` };
+  }
+  return best;
+}
+
+// Plausibility checks of a new parse against the player's earlier (non-flagged) records.
+// Returns { suspicious, reasons, baseline } where baseline is the record compared against.
+function validateAgainstHistory(parsed, history) {
+  const accepted = (history || []).filter(r => !r.flagged);
+  const baseline = accepted[0] || null;
+  const reasons = [];
+  if (!baseline) return { suspicious: false, reasons, baseline };
+
+  const g1 = Number(parsed.games_played);
+  const w1 = Number(parsed.win_pct);
+
+  // games played can only go up
+  const maxGames = Math.max(...accepted.map(r => Number(r.games_played)).filter(Number.isFinite), -Infinity);
+  if (Number.isFinite(g1) && Number.isFinite(maxGames) && g1 < maxGames) {
+    reasons.push(`games_played went down (${maxGames} -> ${g1})`);
+  }
+
+  // win % can only move as far as the added games allow: all added games lost .. all added games won
+  const g0 = Number(baseline.games_played);
+  const w0 = Number(baseline.win_pct);
+  if (Number.isFinite(g0) && Number.isFinite(w0) && Number.isFinite(g1) && Number.isFinite(w1) && g1 >= g0 && g1 > 0) {
+    const wins0 = (w0 / 100) * g0;
+    const added = g1 - g0;
+    const minPct = (wins0 / g1) * 100;
+    const maxPct = ((wins0 + added) / g1) * 100;
+    if (w1 < minPct - PLAUSIBILITY_WIN_PCT_SLACK || w1 > maxPct + PLAUSIBILITY_WIN_PCT_SLACK) {
+      reasons.push(`win_pct moved ${w0} -> ${w1} with ${added} games added (possible range ${minPct.toFixed(1)}-${maxPct.toFixed(1)})`);
+    }
+  }
+
+  // tag / platform changes must go through an admin approval
+  if (parsed.player_tag && baseline.player_tag && normalizeName(parsed.player_tag) !== normalizeName(baseline.player_tag)) {
+    reasons.push(`player_tag changed (${baseline.player_tag} -> ${parsed.player_tag})`);
+  }
+  if (parsed.platform && baseline.platform && normalizeName(parsed.platform) !== normalizeName(baseline.platform)) {
+    reasons.push(`platform changed (${baseline.platform} -> ${parsed.platform})`);
+  }
 
-  const meetsGames = Number.isFinite(gp) && gp >= MIN_GAMES;
-  const meetsWin = Number.isFinite(wp) && wp >= MIN_WIN_PCT;
-  const passed = meetsGames && meetsWin;
-  return { passed, meetsGames, meetsWin };
+  return { suspicious: reasons.length > 0, reasons, baseline };
 }
 
 // role helpers
+// Thresholds are not written here: empty columns mean "use the profile/env default" (see resolveThresholds),
+// and rewriting them on every startup would overwrite values set per guild.
 async function ensureCompSettingsRow(guildId) {
   try {
     const upsertObj = {
       guild_id: guildId,
       channel_name: CHANNEL_NAME,
-      min_games: MIN_GAMES,
-      min_win_pct: MIN_WIN_PCT,
-      reverify_days: REVERIFY_DAYS,
       updated_at: new Date().toISOString()
     };
     await supabase.from('comp_settings').upsert(upsertObj, { onConflict: ['guild_id'] });
@@ -1157,35 +2467,65 @@ async function ensureCompSettingsRow(guildId) {
   }
 }
 
+// Older versions wrote the env MIN_GAMES / MIN_WIN_PCT / REVERIFY_DAYS into every settings row on startup, which
+// would override the game profile defaults forever. Only columns still holding exactly those env values are
+// cleared, and never once an admin has set thresholds through /comp config (thresholds_set_at).
+async function clearLegacyThresholds(row) {
+  if (!row || row.thresholds_set_at) return;
+  const legacy = { min_games: MIN_GAMES, min_win_pct: MIN_WIN_PCT, reverify_days: REVERIFY_DAYS };
+  const fields = {};
+  for (const [col, envValue] of Object.entries(legacy)) {
+    if (row[col] != null && Number(row[col]) === envValue) fields[col] = null;
+  }
+  if (Object.keys(fields).length === 0) return;
+  const { error } = await supabase.from('comp_settings').update(fields).eq('guild_id', row.guild_id);
+  if (error) console.warn('Could not clear legacy thresholds in comp_settings:', error.message);
+  else console.log(`Cleared legacy env thresholds (${Object.keys(fields).join(', ')}) for guild ${row.guild_id}; game profile defaults now apply`);
+}
+
+function isVerifiedRoleName(name) {
+  return name === VERIFIED_ROLE_NAME || name === 'Comp';
+}
+
+function parseRoleColor(value) {
+  const n = parseInt(String(value).replace(/^#|^0x/i, ''), 16);
+  return Number.isFinite(n) ? n : 0x00AE86;
+}
+
+// Resolve the verified role: persisted comp_settings.role_id -> ROLE_ID env -> FALLBACK_ROLE_ID -> role named
+// VERIFIED_ROLE_NAME -> create one. The resolved role is persisted so later lookups are a single fetch.
 async function ensureRoleForGuild(guild) {
   try {
     await ensureCompSettingsRow(guild.id);
 
     const sel = await supabase.from('comp_settings').select('role_id').eq('guild_id', guild.id).maybeSingle();
     if (sel.error) console.warn('comp_settings select error:', sel.error.message || sel.error);
-    let roleId = sel.data?.role_id || ROLE_ID_ENV || null;
 
-    if (roleId) {
+    const candidateIds = [sel.data?.role_id, ROLE_ID_ENV, FALLBACK_ROLE_ID].filter(Boolean);
+    for (const roleId of candidateIds) {
       const fetched = await guild.roles.fetch(roleId).catch(() => null);
       if (fetched) {
-        await supabase.from('comp_settings').upsert({ guild_id: guild.id, role_id: fetched.id }, { onConflict: ['guild_id'] });
+        if (fetched.id !== sel.data?.role_id) {
+          await supabase.from('comp_settings').upsert({ guild_id: guild.id, role_id: fetched.id }, { onConflict: ['guild_id'] });
+        }
         return fetched;
-      } else {
-        if (OCR_DEBUG) console.log('Persisted role_id not found in guild, will create a new role.');
-        roleId = null;
-        await supabase.from('comp_settings').upsert({ guild_id: guild.id, role_id: null }, { onConflict: ['guild_id'] });
       }
     }
+    if (sel.data?.role_id) {
+      if (OCR_DEBUG) console.log('Persisted role_id not found in guild, looking up by name.');
+      await supabase.from('comp_settings').upsert({ guild_id: guild.id, role_id: null }, { onConflict: ['guild_id'] });
+    }
 
-    const found = guild.roles.cache.find(r => r.name === 'Comp Verified' || r.name === 'Comp');
+    const roles = await guild.roles.fetch().catch(() => guild.roles.cache);
+    const found = roles.find(r => isVerifiedRoleName(r.name));
     if (found) {
       await supabase.from('comp_settings').upsert({ guild_id: guild.id, role_id: found.id }, { onConflict: ['guild_id'] });
       return found;
     }
 
     const newRole = await guild.roles.create({
-      name: 'Comp Verified',
-      color: 0x00AE86,
+      name: VERIFIED_ROLE_NAME,
+      color: parseRoleColor(VERIFIED_ROLE_COLOR),
       hoist: false,
       mentionable: false,
       reason: 'Auto-created comp verification role'
@@ -1219,31 +2559,146 @@ async function ensureRoleForGuild(guild) {
   }
 }
 
-async function getRoleIdForGuild(guildId) {
-  try {
-    const { data, error } = await supabase.from('comp_settings').select('role_id').eq('guild_id', guildId).maybeSingle();
-    if (!error && data?.role_id) return data.role_id;
-  } catch (_) {}
-  // fallback order: explicit env ROLE_ID -> provided fallback constant -> null
-  if (ROLE_ID_ENV) return ROLE_ID_ENV;
-  if (FALLBACK_ROLE_ID) return FALLBACK_ROLE_ID;
-  return null;
+// Tier roles by configured role_id, else by name, from a single roles fetch: tier name -> role (null when missing).
+async function resolveTierRoles(guild, tiers) {
+  const roles = await guild.roles.fetch().catch(() => guild.roles.cache);
+  const resolved = new Map();
+  for (const tier of tiers) {
+    resolved.set(tier.name, (tier.role_id && roles.get(tier.role_id)) || roles.find(r => r.name === tier.name) || null);
+  }
+  return resolved;
 }
 
-// Helper: post a player card embed to the configured player card channel
-async function postPlayerCardToChannel(guild, record) {
-  try {
+// Bootstrap only: create the roles of configured tiers that do not exist yet, and say so in the log channel
+// (a misspelt tier name shows up there instead of silently spawning roles on every sync).
+async function ensureTierRoles(guild) {
+  const tiers = await getTiersForGuild(guild.id);
+  if (tiers.length === 0) return;
+  const resolved = await resolveTierRoles(guild, tiers);
+  for (const tier of tiers) {
+    if (resolved.get(tier.name)) continue;
+    try {
+      const role = await guild.roles.create({ name: tier.name, hoist: false, mentionable: false, reason: 'Auto-created comp tier role' });
+      await logToGuild(guild, 'Tier role created', `Created <@&${role.id}> for tier **${tier.name}**. If the name is a typo, fix the tiers setting and delete this role.`);
+    } catch (err) {
+      console.warn(`Could not create tier role ${tier.name}:`, err?.message || err);
+      await logToGuild(guild, 'Tier role missing', `No role found for tier **${tier.name}** and I could not create one: ${err?.message || err}`);
+    }
+  }
+}
+
+// Give the member the role of tierName and remove every other tier role (tierName null removes all of them).
+// A tier role that is also the verified role is left alone; that one is handled by the verification flow.
+async function syncTierRoles(guild, member, tierName, tiers) {
+  const result = { added: [], removed: [], failed: [] };
+  if (!member || !Array.isArray(tiers) || tiers.length === 0) return result;
+  const verifiedRoleId = await getRoleIdForGuild(guild.id);
+  try { await member.roles.fetch(); } catch (_) {}
+
+  const tierRoles = await resolveTierRoles(guild, tiers);
+  for (const tier of tiers) {
+    const role = tierRoles.get(tier.name);
+    if (!role) {
+      if (OCR_DEBUG) console.warn(`No role for tier ${tier.name} in guild ${guild.id}; skipping`);
+      continue;
+    }
+    if (role.id === verifiedRoleId) continue;
+    const has = member.roles.cache.has(role.id);
+    try {
+      if (tier.name === tierName && !has) {
+        await member.roles.add(role.id, `Comp tier: ${tier.name}`);
+        result.added.push(tier.name);
+      } else if (tier.name !== tierName && has) {
+        await member.roles.remove(role.id, tierName ? `Comp tier changed to ${tierName}` : 'Comp verification no longer met');
+        result.removed.push(tier.name);
+      }
+    } catch (err) {
+      result.failed.push(tier.name);
+      if (OCR_DEBUG) console.warn(`Tier role update failed for ${tier.name}:`, err?.message || err);
+    }
+  }
+  if (result.failed.length > 0) {
+    await logToGuild(guild, 'Tier role update failed', `Could not update tier roles (${result.failed.join(', ')}) for <@${member.id}>. Check that the bot role is above the tier roles.`);
+  }
+  return result;
+}
+
+// Returns a description of why the bot cannot assign the role, or null when it can
+async function checkRoleHierarchy(guild, role) {
+  const botMember = await guild.members.fetch(client.user.id).catch(() => null);
+  if (!botMember) return 'the bot member could not be fetched';
+  if (!botMember.permissions.has(PermissionsBitField.Flags.ManageRoles)) return 'the bot lacks the Manage Roles permission';
+  if (role.managed) return `<@&${role.id}> is managed by an integration and cannot be assigned`;
+  if (role.position >= botMember.roles.highest.position) {
+    return `<@&${role.id}> is not below the bot's highest role (<@&${botMember.roles.highest.id}>)`;
+  }
+  return null;
+}
+
+async function getRoleIdForGuild(guildId) {
+  try {
+    const { data, error } = await supabase.from('comp_settings').select('role_id').eq('guild_id', guildId).maybeSingle();
+    if (!error && data?.role_id) return data.role_id;
+  } catch (_) {}
+  // fallback order: explicit env ROLE_ID -> provided fallback constant -> null
+  if (ROLE_ID_ENV) return ROLE_ID_ENV;
+  if (FALLBACK_ROLE_ID) return FALLBACK_ROLE_ID;
+  return null;
+}
+
+// Player card embed shared by the player card channel and /player view
+function buildPlayerCardEmbed(displayName, record) {
+  const embed = new EmbedBuilder()
+    .setTitle(`${displayName} — Comp Stats`)
+    .addFields(
+      { name: 'Win percentage', value: record.win_pct != null ? String(record.win_pct) : 'N/A', inline: true },
+      { name: 'Games played', value: record.games_played != null ? String(record.games_played) : 'N/A', inline: true },
+      { name: 'Points', value: record.points != null ? String(record.points) : 'N/A', inline: true },
+      { name: 'Platform / Tag', value: `${record.platform ?? 'N/A'}${record.player_tag ? ` / ${record.player_tag}` : ''}`, inline: false }
+    );
+
+  if (record.tier) embed.addFields({ name: 'Tier', value: record.tier, inline: true });
+
+  const build = formatBuild(record);
+  if (build) embed.addFields({ name: 'Build', value: build, inline: false });
+
+  embed
+    .addFields(
+      { name: 'Verified', value: record.verified ? `Yes — ${record.verified_at ? new Date(record.verified_at).toLocaleString() : 'N/A'}` : 'No', inline: false },
+      { name: 'Flagged', value: record.flagged ? `Yes — ${record.flag_reason ?? 'Needs review'}` : 'No', inline: false }
+    )
+    .setTimestamp();
+
+  if (record.image_url) embed.setImage(record.image_url);
+  return embed;
+}
+
+// e.g. "PG · 6'7" · 2-Way Slashing Playmaker · 92 OVR · 48 badges"; null when nothing was read
+function formatBuild(record) {
+  const parts = [];
+  if (record.position) parts.push(record.position);
+  if (record.height) parts.push(record.height);
+  if (record.archetype) parts.push(record.archetype);
+  if (record.overall != null) parts.push(`${record.overall} OVR`);
+  if (record.badge_count != null) parts.push(`${record.badge_count} badges`);
+  return parts.length > 0 ? parts.join(' · ') : null;
+}
+
+// Helper: post a player card embed to the configured player card channel
+async function postPlayerCardToChannel(guild, record) {
+  try {
     if (!record) return;
     // Try guild scoped fetch first, then global fetch
+    const channelId = guild ? await getPlayerCardChannelId(guild.id) : PLAYER_CARD_CHANNEL_ID;
     let ch = null;
     if (guild && guild.channels) {
-      try { ch = await guild.channels.fetch(PLAYER_CARD_CHANNEL_ID).catch(() => null); } catch (_) { ch = null; }
+      try { ch = await guild.channels.fetch(channelId).catch(() => null); } catch (_) { ch = null; }
     }
     if (!ch) {
-      try { ch = await client.channels.fetch(PLAYER_CARD_CHANNEL_ID).catch(() => null); } catch (_) { ch = null; }
+      try { ch = await client.channels.fetch(channelId).catch(() => null); } catch (_) { ch = null; }
     }
     if (!ch || typeof ch.send !== 'function') {
-      if (OCR_DEBUG) console.warn('Player card channel not found or not sendable:', PLAYER_CARD_CHANNEL_ID);
+      if (OCR_DEBUG) console.warn('Player card channel not found or not sendable:', channelId);
       return;
     }
 
@@ -1259,19 +2714,7 @@ async function postPlayerCardToChannel(guild, record) {
       }
     } catch (_) {}
 
-    const embed = new EmbedBuilder()
-      .setTitle(`${displayName} — Comp Stats`)
-      .addFields(
-        { name: 'Win percentage', value: record.win_pct != null ? String(record.win_pct) : 'N/A', inline: true },
-        { name: 'Games played', value: record.games_played != null ? String(record.games_played) : 'N/A', inline: true },
-        { name: 'Points', value: record.points != null ? String(record.points) : 'N/A', inline: true },
-        { name: 'Platform / Tag', value: `${record.platform ?? 'N/A'}${record.player_tag ? ` / ${record.player_tag}` : ''}`, inline: false },
-        { name: 'Verified', value: record.verified ? `Yes — ${record.verified_at ? new Date(record.verified_at).toLocaleString() : 'N/A'}` : 'No', inline: false },
-        { name: 'Flagged', value: record.flagged ? `Yes — ${record.flag_reason ?? 'Needs review'}` : 'No', inline: false }
-      )
-      .setTimestamp();
-
-    if (record.image_url) embed.setImage(record.image_url);
+    const embed = buildPlayerCardEmbed(displayName, record);
 
     await ch.send({ embeds: [embed] }).catch(e => {
       if (OCR_DEBUG) console.warn('Failed to send player card embed:', e?.message || e);
@@ -1292,68 +2735,36 @@ async function onReadyHandler() {
   console.log('Logged in as', client.user.tag);
   try { await registerCommands(); } catch (e) { console.warn('Register commands error:', e?.message || e); }
 
-  if (openai) {
-    activeOpenAIModel = await chooseWorkingOpenAIModel(PREFERRED_OPENAI_MODEL);
-    if (!activeOpenAIModel) {
-      console.warn('No OpenAI model candidates responded successfully. Image parsing disabled until a working model/API key is available.');
-    }
-  } else {
-    console.warn('OpenAI client not initialized; image parsing disabled.');
-  }
+  await initStatsParserProviders();
+  await loadGameProfiles();
 
   try {
-    const testGuild = await client.guilds.fetch(TEST_GUILD_ID).catch(() => null);
-    const prodGuild = GUILD_ID ? await client.guilds.fetch(GUILD_ID).catch(() => null) : null;
-
-    if (testGuild) {
-      await ensureCompSettingsRow(testGuild.id);
-      await findOrCreateCategory(testGuild).catch(() => null);
-      const ch = await findOrCreateChannel(testGuild);
-      if (ch) await postOrUpdateVerificationEmbed(ch);
-      await ensureRoleForGuild(testGuild);
-      await findOrCreateLogChannel(testGuild).catch(() => null);
-      await findOrCreateAdminApprovalChannel(testGuild).catch(() => null);
-    }
-    if (prodGuild && prodGuild.id !== testGuild?.id) {
-      await ensureCompSettingsRow(prodGuild.id);
-      await findOrCreateCategory(prodGuild).catch(() => null);
-      const ch = await findOrCreateChannel(prodGuild);
-      if (ch) await postOrUpdateVerificationEmbed(ch);
-      await ensureRoleForGuild(prodGuild);
-      await findOrCreateLogChannel(prodGuild).catch(() => null);
-      await findOrCreateAdminApprovalChannel(prodGuild).catch(() => null);
+    const guilds = await client.guilds.fetch();
+    for (const oauthGuild of guilds.values()) {
+      const guild = await oauthGuild.fetch().catch(() => null);
+      if (guild) await bootstrapGuild(guild);
     }
   } catch (err) {
     console.warn('Error ensuring channels/roles:', err?.message || err);
   }
 
+  if (RECONCILE_CRON) {
+    cron.schedule(RECONCILE_CRON, async () => {
+      console.log(`Running role reconciliation (${RECONCILE_FIX ? 'fix' : 'dry run'})...`);
+      for (const guild of client.guilds.cache.values()) {
+        try {
+          await reconcileGuild(guild, { fix: RECONCILE_FIX });
+        } catch (err) {
+          console.warn(`Reconciliation failed for ${guild.id}:`, err?.message || err);
+        }
+      }
+    }, { timezone: 'UTC' });
+  }
+
   cron.schedule('0 12 * * *', async () => {
     console.log('Running daily reverify check...');
     try {
-      const { data, error } = await supabase.from('comp_verifications').select().eq('guild_id', GUILD_ID).eq('verified', true);
-      if (error) {
-        console.warn('Supabase fetch error for daily check:', error.message);
-        return;
-      }
-      for (const rec of data || []) {
-        if (!rec.verified_at) continue;
-        const verifiedAt = new Date(rec.verified_at);
-        const ageDays = (Date.now() - verifiedAt.getTime()) / (1000 * 60 * 60 * 24);
-        if (ageDays >= REVERIFY_DAYS) {
-          try {
-            const user = await client.users.fetch(rec.user_id);
-            await user.send(`Hi — your Comp verification has expired (more than ${REVERIFY_DAYS} days). Please re-verify by clicking the Verify button in the "${CHANNEL_NAME}" channel on the server.`);
-            try {
-              const guild = await client.guilds.fetch(rec.guild_id).catch(() => null);
-              if (guild) {
-                await logToGuild(guild, 'Verification expired', `User <@${rec.user_id}>'s verification expired after ${REVERIFY_DAYS} days.`);
-              }
-            } catch (_) {}
-          } catch (err) {
-            console.warn('Could not DM user for reverify:', err.message);
-          }
-        }
-      }
+      await runExpiryLifecycle();
     } catch (err) {
       console.warn('Error in daily reverify cron:', err.message);
     }
@@ -1363,7 +2774,536 @@ async function onReadyHandler() {
 client.once('ready', onReadyHandler);
 client.once('clientReady', onReadyHandler);
 
+// ================ guild lifecycle =================
+// Set up everything the bot needs in a guild: settings row, category, channels, pinned embed, role.
+// Safe to run repeatedly; every step reuses what already exists.
+async function bootstrapGuild(guild) {
+  try {
+    await clearLegacyThresholds(await ensureCompSettingsRow(guild.id));
+    await clearGuildArchived(guild.id);
+    await findOrCreateCategory(guild).catch(() => null);
+    const ch = await findOrCreateChannel(guild);
+    if (ch) await postOrUpdateVerificationEmbed(ch);
+    const role = await ensureRoleForGuild(guild);
+    await findOrCreateLogChannel(guild).catch(() => null);
+    await findOrCreateAdminApprovalChannel(guild).catch(() => null);
+    await ensureTierRoles(guild).catch(err => console.warn(`Could not set up tier roles for ${guild.id}:`, err?.message || err));
+    await restorePendingApprovals(guild).catch(err => console.warn(`Could not restore open approvals for ${guild.id}:`, err?.message || err));
+    if (!role) {
+      await logToGuild(guild, 'Verified role unavailable', 'I could not find or create the verified role. Set one with /comp config role.');
+    } else {
+      const problem = await checkRoleHierarchy(guild, role);
+      if (problem) {
+        console.warn(`Role hierarchy problem in guild ${guild.id}: ${problem}`);
+        await logToGuild(guild, 'Verified role cannot be assigned', `Verified players will not get their role: ${problem}. Move the bot's role above the verified role (Server Settings → Roles).`);
+      }
+    }
+    console.log('Bootstrapped guild', guild.name, guild.id);
+  } catch (err) {
+    console.warn(`bootstrapGuild failed for ${guild.id}:`, err?.message || err);
+  }
+}
+
+async function clearGuildArchived(guildId) {
+  const { error } = await supabase.from('comp_settings').update({ archived_at: null }).eq('guild_id', guildId);
+  if (error && OCR_DEBUG) console.warn('Could not clear archived_at in comp_settings:', error.message);
+}
+
+// When the bot leaves (or is removed from) a guild its settings and records are kept but marked archived,
+// so rejoining picks up where it left off. In-memory state for the guild is dropped
+// (open rows in comp_pending_approvals are kept and restored by bootstrapGuild).
+async function archiveGuild(guildId) {
+  for (const [id, sub] of pendingSubmissions) {
+    if (sub.guildId === guildId) pendingSubmissions.delete(id);
+  }
+  for (const [id, pending] of pendingApprovals) {
+    if (pending.guildId === guildId) pendingApprovals.delete(id);
+  }
+  try {
+    const { error } = await supabase.from('comp_settings')
+      .update({ archived_at: new Date().toISOString() })
+      .eq('guild_id', guildId);
+    if (error) console.warn('Failed to mark guild archived in comp_settings:', error.message);
+  } catch (err) {
+    console.warn('archiveGuild error:', err?.message || err);
+  }
+}
+
+// ================ expiry lifecycle =================
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseReminderDays(value) {
+  return String(value || '')
+    .split(',')
+    .map(d => Number(d.trim()))
+    .filter(d => Number.isFinite(d) && d > 0)
+    .sort((a, b) => b - a);
+}
+
+// Persist the reminder steps before the DM goes out; returns false when they could not be saved, in which case
+// the caller skips the DM (otherwise the same reminder would be sent again on every run).
+async function markReminderSent(rec, steps) {
+  const sent = Array.from(new Set([...(rec.reminders_sent || []), ...steps]));
+  const { error } = await supabase.from('comp_verifications').update({ reminders_sent: sent }).eq('id', rec.id);
+  if (error) {
+    console.warn('Failed to record sent reminders (reminders_sent), skipping the DM:', error.message);
+    return false;
+  }
+  rec.reminders_sent = sent;
+  return true;
+}
+
+function noteBotRoleRemoval(guildId, userId) {
+  botRoleRemovals.set(`${guildId}:${userId}`, Date.now());
+}
+
+// Remove the verified role and any tier roles; returns a short status for the log entry
+async function removeVerifiedRoles(guild, userId, tiers, reason) {
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return 'member not in server';
+  const roleId = await getRoleIdForGuild(guild.id);
+  const role = roleId ? await guild.roles.fetch(roleId).catch(() => null) : null;
+  let status = 'role removed';
+  if (role && member.roles.cache.has(role.id)) {
+    const problem = await checkRoleHierarchy(guild, role);
+    if (problem) {
+      status = `role not removed: ${problem}`;
+    } else {
+      noteBotRoleRemoval(guild.id, userId);
+      await member.roles.remove(role.id, reason);
+    }
+  } else {
+    status = 'member did not have the role';
+  }
+  await syncTierRoles(guild, member, null, tiers);
+  return status;
+}
+
+async function removeSeasonDeadlineRole(rec) {
+  const guild = client.guilds.cache.get(rec.guild_id);
+  if (!guild) return;
+  const limits = await resolveThresholds(rec.guild_id, rec.game_profile);
+  const status = await removeVerifiedRoles(guild, rec.user_id, limits.tiers, 'Not re-verified after the season ended');
+  const { error } = await supabase.from('comp_verifications').update({ role_expires_at: null }).eq('id', rec.id);
+  if (error) console.warn('Failed to clear role_expires_at:', error.message);
+  const user = await client.users.fetch(rec.user_id).catch(() => null);
+  if (user) {
+    await user.send(`You did not re-verify for the new season in **${guild.name}**, so your Comp role was removed. Click the Verify button in the "${CHANNEL_NAME}" channel to verify again.`).catch(() => null);
+  }
+  await logToGuild(guild, 'Season deadline passed - role removed', `User <@${rec.user_id}> did not re-verify after the season ended. ${status}.`);
+}
+
+// One pass over the effective record (pickEffectiveRecords) of every user in every guild the bot is in:
+// reminder DMs before expires_at, an expiry notice when the grace period starts, role removal after it.
+async function runExpiryLifecycle() {
+  // records of guilds the bot left are kept but not processed
+  const guildIds = Array.from(client.guilds.cache.keys());
+  if (guildIds.length === 0) return;
+  let data;
+  try {
+    data = await fetchAllRows(() => supabase.from('comp_verifications')
+      .select()
+      .in('guild_id', guildIds)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false }));
+  } catch (err) {
+    console.warn('Supabase fetch error for daily check:', err.message);
+    return;
+  }
+
+  // same record selection as reconcileGuild, so both agree on who is verified
+  const effective = pickEffectiveRecords(data, rec => `${rec.guild_id}:${rec.user_id}`);
+
+  const reminderDays = parseReminderDays(REMINDER_DAYS);
+  const limitsCache = new Map(); // `${guild_id}:${game_profile}` -> resolved thresholds
+  const now = Date.now();
+  for (const rec of effective.values()) {
+    // role kept past a season close: remove it at role_expires_at unless the player has verified again
+    if (!rec.verified && rec.role_expires_at) {
+      if (now < new Date(rec.role_expires_at).getTime()) continue;
+      await removeSeasonDeadlineRole(rec).catch(err => console.warn(`Season role removal failed for ${rec.user_id} in ${rec.guild_id}:`, err?.message || err));
+      continue;
+    }
+    if (!rec.verified || rec.expired_at) continue;
+    if (!rec.verified_at && !rec.expires_at) continue;
+    const limitsKey = `${rec.guild_id}:${rec.game_profile || ''}`;
+    if (!limitsCache.has(limitsKey)) limitsCache.set(limitsKey, await resolveThresholds(rec.guild_id, rec.game_profile));
+    const limits = limitsCache.get(limitsKey);
+    const expiresMs = rec.expires_at
+      ? new Date(rec.expires_at).getTime()
+      : new Date(rec.verified_at).getTime() + limits.reverifyDays * DAY_MS;
+    const graceEndMs = expiresMs + EXPIRY_GRACE_DAYS * DAY_MS;
+    const sent = rec.reminders_sent || [];
+
+    const guild = client.guilds.cache.get(rec.guild_id);
+    const user = await client.users.fetch(rec.user_id).catch(() => null);
+    try {
+      if (now < expiresMs) {
+        // when the bot was down for a while several offsets are due at once; send only the closest one
+        const due = reminderDays.filter(d => now >= expiresMs - d * DAY_MS && !sent.includes(`${d}d`));
+        if (due.length === 0) continue;
+        const daysLeft = Math.max(1, Math.ceil((expiresMs - now) / DAY_MS));
+        if (!await markReminderSent(rec, due.map(d => `${d}d`))) continue;
+        if (user) {
+          await user.send(`Reminder — your Comp verification in **${guild?.name ?? 'the server'}** expires in ${daysLeft} day(s) (${new Date(expiresMs).toUTCString()}). Re-verify before then by clicking the Verify button in the "${CHANNEL_NAME}" channel to keep your Comp role.`).catch(e => {
+            if (OCR_DEBUG) console.warn('Could not DM reminder:', e?.message || e);
+          });
+        }
+      } else if (now < graceEndMs) {
+        if (sent.includes('grace')) continue;
+        if (!await markReminderSent(rec, ['grace'])) continue;
+        if (user) {
+          await user.send(`Your Comp verification in **${guild?.name ?? 'the server'}** has expired. You keep your Comp role for a ${EXPIRY_GRACE_DAYS}-day grace period (until ${new Date(graceEndMs).toUTCString()}); re-verify by clicking the Verify button in the "${CHANNEL_NAME}" channel before then.`).catch(e => {
+            if (OCR_DEBUG) console.warn('Could not DM expiry notice:', e?.message || e);
+          });
+        }
+        if (guild) await logToGuild(guild, 'Verification expired', `User <@${rec.user_id}>'s verification expired; grace period ends ${new Date(graceEndMs).toUTCString()}.`);
+      } else {
+        const status = guild
+          ? await removeVerifiedRoles(guild, rec.user_id, limits.tiers, 'Comp verification expired')
+          : 'guild unavailable';
+        const { error: upErr } = await supabase.from('comp_verifications')
+          .update({ verified: false, expired_at: new Date().toISOString() })
+          .eq('id', rec.id);
+        if (upErr) {
+          // without expired_at at least make sure the record stops counting as verified
+          console.warn('Failed to mark record expired:', upErr.message);
+          await supabase.from('comp_verifications').update({ verified: false }).eq('id', rec.id);
+        }
+        if (user) {
+          await user.send(`Your Comp verification in **${guild?.name ?? 'the server'}** has expired and the grace period is over, so your Comp role was removed. Click the Verify button in the "${CHANNEL_NAME}" channel to verify again.`).catch(() => null);
+        }
+        if (guild) await logToGuild(guild, 'Verification expired - role removed', `User <@${rec.user_id}>'s verification expired (grace period ended). ${status}.`);
+      }
+    } catch (err) {
+      console.warn(`Expiry lifecycle failed for ${rec.user_id} in ${rec.guild_id}:`, err?.message || err);
+    }
+  }
+}
+
+// ================ member join / leave / role changes =================
+// The record that decides a player's role: their newest row, skipping uploads held for admin review or denied
+// (flagged and not verified) so a pending re-upload does not cost a verified player the role in the meantime.
+// rows must be ordered newest first; returns keyOf(row) -> record. Used by the expiry job, reconciliation and
+// the member join / role-change handlers so they all agree.
+function pickEffectiveRecords(rows, keyOf) {
+  const effective = new Map();
+  const newest = new Map();
+  for (const rec of rows || []) {
+    const key = keyOf(rec);
+    if (!newest.has(key)) newest.set(key, rec);
+    if (!effective.has(key) && !(rec.flagged && !rec.verified)) effective.set(key, rec);
+  }
+  for (const [key, rec] of newest) {
+    if (!effective.has(key)) effective.set(key, rec);
+  }
+  return effective;
+}
+
+async function getEffectiveRecord(user_id, guild_id) {
+  const rows = await getRecentRecords(user_id, guild_id, { limit: 20 });
+  return pickEffectiveRecords(rows, rec => rec.user_id).get(user_id) || null;
+}
+
+// A record still grants the role when it is verified, not flagged and not expired. Past expires_at the role is
+// kept for EXPIRY_GRACE_DAYS (runExpiryLifecycle sets expired_at when it removes the role at the end of it).
+// After a season close an unverified record keeps the role until its role_expires_at.
+function isRecordActive(rec) {
+  if (!rec || rec.flagged || rec.expired_at) return false;
+  if (!rec.verified) return Boolean(rec.role_expires_at) && new Date(rec.role_expires_at).getTime() > Date.now();
+  if (rec.expires_at && new Date(rec.expires_at).getTime() + EXPIRY_GRACE_DAYS * DAY_MS <= Date.now()) return false;
+  return true;
+}
+
+// Give the verified role (and the record's tier role) back to a member; returns a short status for the log entry
+async function restoreVerifiedRoles(guild, member, rec, reason) {
+  const roleId = await getRoleIdForGuild(guild.id);
+  let role = roleId ? await guild.roles.fetch(roleId).catch(() => null) : null;
+  if (!role) role = await ensureRoleForGuild(guild);
+  if (!role) return 'verified role not found';
+  const problem = await checkRoleHierarchy(guild, role);
+  if (problem) return `role not restored: ${problem}`;
+  if (!member.roles.cache.has(role.id)) await member.roles.add(role.id, reason);
+  const limits = await resolveThresholds(guild.id, rec.game_profile);
+  if (rec.tier) await syncTierRoles(guild, member, rec.tier, limits.tiers);
+  return 'role restored';
+}
+
+client.on('guildMemberAdd', async (member) => {
+  try {
+    const rec = await getLatestRecord(member.id, member.guild.id).catch(() => null);
+    if (!rec) return;
+    if (rec.left_guild_at) {
+      await updateLatestRecord(member.id, member.guild.id, { left_guild_at: null }).catch(e => {
+        if (OCR_DEBUG) console.warn('Failed to clear left_guild_at:', e?.message || e);
+      });
+    }
+    const effective = await getEffectiveRecord(member.id, member.guild.id).catch(() => null);
+    if (!isRecordActive(effective)) return;
+    const status = await restoreVerifiedRoles(member.guild, member, effective, 'Rejoined with a valid Comp verification');
+    await logToGuild(member.guild, 'Verified player rejoined', `<@${member.id}> rejoined with a valid verification (expires ${effective.expires_at ? new Date(effective.expires_at).toUTCString() : 'N/A'}): ${status}.`);
+  } catch (err) {
+    console.warn('guildMemberAdd handler error:', err?.message || err);
+  }
+});
+
+client.on('guildMemberRemove', async (member) => {
+  try {
+    const rec = await getLatestRecord(member.id, member.guild.id).catch(() => null);
+    if (!rec) return;
+    // keep the record (so a rejoin can restore the role) but note when they left for admins reviewing history
+    await updateLatestRecord(member.id, member.guild.id, { left_guild_at: new Date().toISOString() }).catch(e => {
+      if (OCR_DEBUG) console.warn('Failed to set left_guild_at:', e?.message || e);
+    });
+    if (rec.verified) await logToGuild(member.guild, 'Verified player left', `<@${member.id}> (${rec.player_tag ?? 'no tag'}) left the server; their verification record was kept.`);
+  } catch (err) {
+    console.warn('guildMemberRemove handler error:', err?.message || err);
+  }
+});
+
+client.on('guildMemberUpdate', async (oldMember, newMember) => {
+  try {
+    if (oldMember.partial) return;
+    const roleId = await getRoleIdForGuild(newMember.guild.id);
+    if (!roleId || !oldMember.roles.cache.has(roleId) || newMember.roles.cache.has(roleId)) return;
+
+    const key = `${newMember.guild.id}:${newMember.id}`;
+    const removedByBot = botRoleRemovals.get(key);
+    if (removedByBot) {
+      botRoleRemovals.delete(key);
+      if (Date.now() - removedByBot < 60 * 1000) return;
+    }
+
+    const rec = await getEffectiveRecord(newMember.id, newMember.guild.id).catch(() => null);
+    if (!isRecordActive(rec)) return;
+    if (!RESTORE_STRIPPED_ROLES) {
+      await logToGuild(newMember.guild, 'Verified role removed by hand', `<@${newMember.id}> lost the verified role but their record is still valid (RESTORE_STRIPPED_ROLES=false, not restored).`);
+      return;
+    }
+    const status = await restoreVerifiedRoles(newMember.guild, newMember, rec, 'Comp verification still valid');
+    await logToGuild(newMember.guild, 'Verified role restored', `<@${newMember.id}> lost the verified role while their record is still valid: ${status}.`);
+  } catch (err) {
+    console.warn('guildMemberUpdate handler error:', err?.message || err);
+  }
+});
+
+// ================ seasons =================
+// archive inserts and id-scoped clears are sent in chunks to keep request sizes bounded
+const SEASON_CHUNK_SIZE = 500;
+
+async function getCurrentSeason(guildId) {
+  try {
+    const { data, error } = await supabase.from('comp_settings').select('current_season').eq('guild_id', guildId).maybeSingle();
+    if (!error && data?.current_season) return data.current_season;
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('getCurrentSeason error:', err?.message || err);
+  }
+  return SEASON_NAME || null;
+}
+
+async function getSeasonArchiveRecord(user_id, guild_id, season) {
+  const { data, error } = await supabase.from('comp_season_archive')
+    .select()
+    .eq('user_id', user_id)
+    .eq('guild_id', guild_id)
+    // case-insensitive exact match: escape LIKE wildcards in the user-supplied name
+    .ilike('season', season.trim().replace(/[\\%_]/g, '\\$&'))
+    .order('archived_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) {
+    if (OCR_DEBUG) console.warn('getSeasonArchiveRecord error:', error.message);
+    return null;
+  }
+  return data;
+}
+
+// Snapshot every player's effective record (pickEffectiveRecords) into comp_season_archive, clear verification
+// for the guild, DM the players who were verified and start the new season. The archive is written first; nothing
+// is cleared if it fails, and only the rows that were read for the snapshot are cleared.
+// Every verified row is set to unverified, so everyone has to re-verify for the new season. With removeRoles the
+// verified and tier roles go at once; otherwise players keep the role until role_expires_at (their re-verify
+// period from now) and runExpiryLifecycle removes it then unless they have verified again.
+async function closeSeason(guild, { newSeason, removeRoles = false, closedBy = null }) {
+  const closedSeason = (await getCurrentSeason(guild.id)) || `Season ending ${new Date().toISOString().slice(0, 10)}`;
+  const data = await fetchAllRows(() => supabase.from('comp_verifications')
+    .select()
+    .eq('guild_id', guild.id)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false }));
+  const latest = pickEffectiveRecords(data, rec => rec.user_id);
+
+  const archivedAt = new Date().toISOString();
+  const rows = Array.from(latest.values()).map(rec => ({
+    season: closedSeason,
+    guild_id: guild.id,
+    user_id: rec.user_id,
+    player_tag: rec.player_tag ?? null,
+    win_pct: rec.win_pct ?? null,
+    games_played: rec.games_played ?? null,
+    tier: rec.tier ?? null,
+    verified: Boolean(rec.verified),
+    record: rec,
+    archived_at: archivedAt
+  }));
+  for (let i = 0; i < rows.length; i += SEASON_CHUNK_SIZE) {
+    const { error: archiveErr } = await supabase.from('comp_season_archive').insert(rows.slice(i, i + SEASON_CHUNK_SIZE));
+    if (archiveErr) throw new Error(`archive failed, nothing was cleared: ${archiveErr.message}`);
+  }
+
+  const latestVerified = Array.from(latest.values()).filter(rec => rec.verified);
+  const verifiedUserIds = latestVerified.map(rec => rec.user_id);
+  const clearIds = data.filter(rec => rec.verified).map(rec => rec.id);
+  for (let i = 0; i < clearIds.length; i += SEASON_CHUNK_SIZE) {
+    const { error: clearErr } = await supabase.from('comp_verifications')
+      .update({ verified: false, verified_at: null })
+      .in('id', clearIds.slice(i, i + SEASON_CHUNK_SIZE));
+    if (clearErr) throw new Error(`clearing verifications failed: ${clearErr.message}`);
+  }
+
+  // players still holding the role on an earlier season's deadline lose it too when roles are removed now
+  const onDeadline = removeRoles
+    ? Array.from(latest.values()).filter(rec => !rec.verified && rec.role_expires_at)
+    : [];
+  for (const rec of onDeadline) {
+    const { error } = await supabase.from('comp_verifications').update({ role_expires_at: null }).eq('id', rec.id);
+    if (error) console.warn(`Failed to clear role_expires_at for ${rec.user_id}:`, error.message);
+  }
+
+  const deadlines = new Map(); // userId -> role_expires_at for kept roles
+  const removeNow = new Set(removeRoles ? [...verifiedUserIds, ...onDeadline.map(rec => rec.user_id)] : []);
+  if (!removeRoles) {
+    const limitsCache = new Map();
+    for (const rec of latestVerified) {
+      const key = rec.game_profile || '';
+      if (!limitsCache.has(key)) limitsCache.set(key, await resolveThresholds(guild.id, rec.game_profile));
+      const roleExpiresAt = new Date(Date.now() + limitsCache.get(key).reverifyDays * DAY_MS).toISOString();
+      const { error: keepErr } = await supabase.from('comp_verifications').update({ role_expires_at: roleExpiresAt }).eq('id', rec.id);
+      if (keepErr) {
+        // without the deadline nothing would ever take the role away, so it goes now
+        console.warn(`Failed to set role_expires_at for ${rec.user_id}, removing the role now:`, keepErr.message);
+        removeNow.add(rec.user_id);
+      } else {
+        deadlines.set(rec.user_id, roleExpiresAt);
+      }
+    }
+  }
+
+  const { error: seasonErr } = await supabase.from('comp_settings')
+    .upsert({ guild_id: guild.id, current_season: newSeason, updated_at: new Date().toISOString() }, { onConflict: ['guild_id'] });
+  if (seasonErr) console.warn('Failed to save current_season:', seasonErr.message);
+
+  let rolesRemoved = 0;
+  let notified = 0;
+  const tiers = removeNow.size ? (await resolveThresholds(guild.id)).tiers : [];
+  for (const userId of removeNow) {
+    const status = await removeVerifiedRoles(guild, userId, tiers, `Season ${closedSeason} closed`).catch(() => 'error');
+    if (status === 'role removed') rolesRemoved++;
+  }
+  for (const userId of verifiedUserIds) {
+    const user = await client.users.fetch(userId).catch(() => null);
+    if (user) {
+      const deadline = deadlines.get(userId);
+      const keep = deadline ? ` You keep your Comp role until ${new Date(deadline).toUTCString()}; it is removed then unless you have re-verified.` : '';
+      const sent = await user.send(`**${closedSeason}** has ended in **${guild.name}** and your Comp verification was archived.${keep} Please re-verify for **${newSeason}** by clicking the Verify button in the "${CHANNEL_NAME}" channel with a screenshot of your new season stats.`).catch(() => null);
+      if (sent) notified++;
+    }
+  }
+
+  await refreshVerificationEmbed(guild);
+  await logToGuild(guild, 'Season closed',
+    `${closedBy ? `<@${closedBy}> closed` : 'Closed'} **${closedSeason}**. Archived ${rows.length} record(s), ` +
+    `cleared ${verifiedUserIds.length} verification(s) and removed ${rolesRemoved} role(s)` +
+    `${deadlines.size ? `; ${deadlines.size} player(s) keep their role until their re-verify deadline` : ''}. New season: **${newSeason}**.`);
+  return { closedSeason, archived: rows.length, cleared: verifiedUserIds.length, kept: deadlines.size, rolesRemoved, notified };
+}
+
+// ================ role reconciliation =================
+// Compare who holds the verified role with whose effective record (pickEffectiveRecords) is active. With fix, roles are
+// added/removed to match the database; otherwise the drift is only reported. The report goes to the log channel.
+async function reconcileGuild(guild, { fix = false, requestedBy = null } = {}) {
+  const roleId = await getRoleIdForGuild(guild.id);
+  const role = roleId ? await guild.roles.fetch(roleId).catch(() => null) : null;
+  if (!role) throw new Error('verified role not found (set one with /comp config role)');
+
+  const members = await guild.members.fetch();
+  // all rows (paged), so players whose latest record is old are not mistaken for drift
+  const data = await fetchAllRows(() => supabase.from('comp_verifications')
+    .select()
+    .eq('guild_id', guild.id)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false }));
+  const latest = pickEffectiveRecords(data, rec => rec.user_id);
+
+  const report = { fix, roleWithoutRecord: [], recordWithoutRole: [], fixed: 0, failed: [] };
+  for (const member of members.values()) {
+    if (member.user.bot) continue;
+    const active = isRecordActive(latest.get(member.id));
+    const hasRole = member.roles.cache.has(role.id);
+    if (hasRole && !active) report.roleWithoutRecord.push(member.id);
+    else if (!hasRole && active) report.recordWithoutRole.push(member.id);
+  }
+
+  if (fix) {
+    const problem = await checkRoleHierarchy(guild, role);
+    if (problem) throw new Error(`cannot fix roles: ${problem}`);
+    const limits = await resolveThresholds(guild.id);
+    for (const userId of report.roleWithoutRecord) {
+      try {
+        const member = members.get(userId);
+        noteBotRoleRemoval(guild.id, userId);
+        await member.roles.remove(role.id, 'Reconciliation: no active verification record');
+        await syncTierRoles(guild, member, null, limits.tiers);
+        report.fixed++;
+      } catch (err) {
+        report.failed.push(userId);
+      }
+    }
+    for (const userId of report.recordWithoutRole) {
+      const status = await restoreVerifiedRoles(guild, members.get(userId), latest.get(userId), 'Reconciliation: active verification record').catch(err => err?.message || 'error');
+      if (status === 'role restored') report.fixed++;
+      else report.failed.push(userId);
+    }
+  }
+
+  const hasDrift = report.roleWithoutRecord.length > 0 || report.recordWithoutRole.length > 0;
+  if (hasDrift || requestedBy) {
+    const mentions = (ids) => (ids.length ? ids.slice(0, 20).map(id => `<@${id}>`).join(', ') + (ids.length > 20 ? ` and ${ids.length - 20} more` : '') : 'none');
+    await logToGuild(guild, `Role reconciliation${fix ? '' : ' (dry run)'}`,
+      `${requestedBy ? `Requested by <@${requestedBy}>.\n` : ''}` +
+      `**Role but no active record (${report.roleWithoutRecord.length}):** ${mentions(report.roleWithoutRecord)}\n` +
+      `**Active record but no role (${report.recordWithoutRole.length}):** ${mentions(report.recordWithoutRole)}` +
+      (fix ? `\nFixed: ${report.fixed}${report.failed.length ? `, failed: ${mentions(report.failed)}` : ''}` : ''));
+  }
+  return report;
+}
+
+function formatReconcileSummary(report) {
+  const lines = [
+    `Role but no active record: ${report.roleWithoutRecord.length}`,
+    `Active record but no role: ${report.recordWithoutRole.length}`
+  ];
+  if (report.fix) lines.push(`Fixed: ${report.fixed}, failed: ${report.failed.length}`);
+  else lines.push('Dry run — nothing was changed. Run with fix:true to apply.');
+  return `${lines.join('\n')}\nDetails were posted to the log channel.`;
+}
+
+client.on('guildCreate', async (guild) => {
+  console.log('Joined guild', guild.name, guild.id);
+  await registerGuildCommands(guild.id);
+  await bootstrapGuild(guild);
+});
+
+client.on('guildDelete', async (guild) => {
+  // also fires during outages (guild.available === false); only archive when the bot actually left
+  if (guild.available === false) return;
+  console.log('Removed from guild', guild.name ?? '', guild.id);
+  await archiveGuild(guild.id);
+});
+
 // ================ embed posting =================
+const VERIFICATION_EMBED_TITLE = 'Comp Verification';
+
 async function fetchPinsAndFindExisting(channel) {
   const pins = await fetchPinsSafe(channel);
   return Array.isArray(pins) ? pins : [];
@@ -1371,32 +3311,46 @@ async function fetchPinsAndFindExisting(channel) {
 
 async function postOrUpdateVerificationEmbed(channel) {
   // Build a clearer, up-to-date description that documents the current bot behavior.
-  // Uses runtime config values (MIN_WIN_PCT, MIN_GAMES, REVERIFY_DAYS) so the embed stays accurate.
+  // Uses the guild's active game profiles (and their thresholds) so the embed stays accurate.
+  const profiles = await getActiveProfilesForGuild(channel.guild.id);
+  const gameNames = profiles.map(p => p.display_name).join(' / ');
+  const season = await getCurrentSeason(channel.guild.id);
+  const limitsByProfile = new Map();
+  for (const p of profiles) limitsByProfile.set(p.id, await resolveThresholds(channel.guild.id, p.id));
+  const requirementLines = profiles.map(p => {
+    const t = limitsByProfile.get(p.id);
+    const prefix = profiles.length > 1 ? `**${p.display_name}:** ` : 'Automatic verification requirements: ';
+    return `${prefix}**Win percentage** must be at least **${t.minWinPct}%** and **Games Played** must be at least **${t.minGames}**; verifications expire every **${t.reverifyDays} days**.`;
+  }).join('\n');
   const description =
     'This bot verifies Competitive (Comp) players for access to Comp channels.\n\n' +
-    'How it works: Click the **Verify** button to receive a DM with instructions. Upload a single clear screenshot of your NBA2K Stats screen in the DM. Make sure the **Games Played** number and **Win percentage** are visible. The bot will analyze the screenshot and let you know if you meet the requirements.\n\n' +
-    `Automatic verification requirements: **Win percentage** must be at least **${MIN_WIN_PCT}%** and **Games Played** must be at least **${MIN_GAMES}**.\n` +
+    `How it works: Click the **Verify** button${profiles.length > 1 ? ' for your game' : ''} to receive a DM with instructions. Upload a clear screenshot of your ${gameNames} Stats screen in the DM (if your gamertag is on a different screen, send that screenshot too). Make sure the **Games Played** number and **Win percentage** are visible. The bot will show you the values it read so you can confirm them (or report a misread), then let you know if you meet the requirements.\n\n` +
+    `${requirementLines}\n` +
     '- If you have **fewer than the minimum games**, your profile will still be saved in the system (you can link your account), but you **will not** receive the Comp role until you meet both thresholds.\n' +
-    `- Verifications expire every **${REVERIFY_DAYS} days**; you must re-verify after that period to keep the Comp role.\n\n` +
+    '- You must re-verify after the expiry period to keep the Comp role.\n\n' +
     'Duplicate / conflict handling: If a player tag already exists in the system, the new submission will be **saved and flagged** for admin review. Admins will be notified and will decide which submission to keep. If the bot detects a conflict it cannot resolve automatically, it will preserve both submissions and request manual admin action.\n\n' +
     'What Comp players get: Verified Comp players are granted a role which provides access to Comp channels and related areas on the server.\n\n' +
     'Commands: Use the **/player view** command to look up a player\'s saved stats. This will show the server nickname when available.\n\n' +
     'If you need help or notice an issue (for example an incorrectly flagged submission), contact a server administrator.';
 
   const embed = new EmbedBuilder()
-    .setTitle('Comp Verification - NBA2K26')
+    .setTitle(`${VERIFICATION_EMBED_TITLE} - ${gameNames}${season ? ` (${season})` : ''}`)
     .setDescription(description)
     .setColor(0x1ABC9C)
     .setFooter({ text: 'Comp Verification Bot - Grants access to Comp channels for verified players' })
     .setTimestamp();
 
+  // One Verify button per active profile when several game versions run side by side
   const verifyRow = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId('start_verify').setLabel('Verify').setStyle(ButtonStyle.Primary)
+    profiles.length > 1
+      ? profiles.slice(0, 5).map(p => new ButtonBuilder().setCustomId(`start_verify:${p.id}`).setLabel(`Verify (${p.display_name})`).setStyle(ButtonStyle.Primary))
+      : [new ButtonBuilder().setCustomId('start_verify').setLabel('Verify').setStyle(ButtonStyle.Primary)]
   );
 
   try {
     const pinArr = await fetchPinsAndFindExisting(channel);
-    const existing = pinArr.find(m => m.author?.id === client.user.id && m.embeds?.length && m.embeds[0]?.title === 'Comp Verification - NBA2K26');
+    // match by title prefix so the pin is reused when the active profiles (and so the title) change
+    const existing = pinArr.find(m => m.author?.id === client.user.id && m.embeds?.length && m.embeds[0]?.title?.startsWith(VERIFICATION_EMBED_TITLE));
 
     if (existing) {
       await existing.edit({ embeds: [embed], components: [verifyRow] });
@@ -1422,7 +3376,8 @@ async function postOrUpdateVerificationEmbed(channel) {
 }
 
 // ================ find guild utility ================
-async function findGuildForUser(userId) {
+// Every guild the bot is in that the user is a member of
+async function findGuildsForUser(userId) {
   const candidates = [];
   for (const [id, guild] of client.guilds.cache) {
     try {
@@ -1432,16 +3387,37 @@ async function findGuildForUser(userId) {
       if (OCR_DEBUG) console.warn('Error fetching member in guild', guild.id, err?.message || err);
     }
   }
-  if (candidates.length === 0) return null;
-  if (TEST_GUILD_ID) {
-    const t = candidates.find(c => c.guild.id === TEST_GUILD_ID);
-    if (t) return t;
+  return candidates;
+}
+
+function getVerifyBinding(userId) {
+  const binding = verifyBindings.get(userId);
+  if (!binding) return null;
+  if (Date.now() - binding.at > VERIFY_BINDING_TTL_MS) {
+    verifyBindings.delete(userId);
+    return null;
   }
-  if (GUILD_ID) {
-    const p = candidates.find(c => c.guild.id === GUILD_ID);
-    if (p) return p;
+  return binding;
+}
+
+// Ask the user which guild a DM upload is for; the upload is processed once they pick one (see pick_guild:)
+async function sendGuildPicker(user, urls, candidates) {
+  const now = Date.now();
+  for (const [id, pick] of pendingGuildPicks) {
+    if (now - pick.createdAt > CONFIRM_TIMEOUT_MINUTES * 60 * 1000) pendingGuildPicks.delete(id);
   }
-  return candidates[0];
+  const pickId = crypto.randomUUID();
+  const options = candidates.slice(0, 25).map(c => ({ label: c.guild.name.slice(0, 100), value: c.guild.id }));
+  pendingGuildPicks.set(pickId, { userId: user.id, urls, guildIds: options.map(o => o.value), createdAt: now });
+
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId(`pick_guild:${pickId}`)
+    .setPlaceholder('Choose a server')
+    .addOptions(options);
+  await user.send({
+    content: `You are in more than one server that uses this bot. Which server is this verification for? (expires in ${CONFIRM_TIMEOUT_MINUTES} minutes)`,
+    components: [new ActionRowBuilder().addComponents(menu)]
+  });
 }
 
 // ================ interactions (verify button + admin approval) ================
@@ -1449,7 +3425,11 @@ client.on('interactionCreate', async (interaction) => {
   try {
     if (interaction.isButton()) {
       // Start verify button
-      if (interaction.customId === 'start_verify') {
+      if (interaction.customId === 'start_verify' || interaction.customId.startsWith('start_verify:')) {
+        // bind the user's next DM upload to the guild (and game profile) the button was clicked in
+        const profileId = interaction.customId.split(':')[1] || null;
+        if (interaction.guildId) verifyBindings.set(interaction.user.id, { guildId: interaction.guildId, profileId, at: Date.now() });
+
         // Use flags number 64 for ephemeral
         try {
           // reply to the button press first to acknowledge
@@ -1460,8 +3440,11 @@ client.on('interactionCreate', async (interaction) => {
         }
 
         try {
+          const profile = profileId
+            ? getGameProfile(profileId)
+            : (interaction.guildId ? (await getActiveProfilesForGuild(interaction.guildId))[0] : getGameProfile());
           const dm = await interaction.user.createDM();
-          await dm.send('Please upload a single clear screenshot of your NBA2K Stats screen in this DM. Make sure Games Played and Win percentage are visible. After upload, I will process it and notify you in DM.');
+          await dm.send(`Please upload a clear screenshot of your ${profile.display_name} Stats screen in this DM. Make sure Games Played and Win percentage are visible. If your gamertag is on a different screen, send that screenshot too. After upload, I will show you what I read so you can confirm it before it is saved.`);
         } catch (err) {
           // Inform user ephemeral if DM failed
           try {
@@ -1473,38 +3456,111 @@ client.on('interactionCreate', async (interaction) => {
         }
       }
 
-      // admin approval buttons (now expected in-server admin-approval channel)
-      if (interaction.customId && (interaction.customId.startsWith('admin_approve:') || interaction.customId.startsWith('admin_deny:'))) {
-        // Authorization: allow configured ADMIN_USER_ID OR a guild member with Manage Guild permissions
-        let authorized = false;
+      // parse confirmation buttons (sent in DM after a screenshot is read)
+      if (interaction.customId.startsWith('confirm_parse:') || interaction.customId.startsWith('misread_parse:')) {
+        const [action, submissionId] = interaction.customId.split(':');
+        const sub = getPendingSubmission(submissionId, interaction.user.id);
+        if (!sub) {
+          await safeInteractionRespond(interaction, { content: 'This confirmation has expired. Please upload your screenshot again.', components: [] }, 'This confirmation has expired. Please upload your screenshot again.');
+          return;
+        }
+
+        if (action === 'misread_parse') {
+          const modal = new ModalBuilder()
+            .setCustomId(`misread_modal:${submissionId}`)
+            .setTitle('Report a misread screenshot')
+            .addComponents(
+              new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                  .setCustomId('note')
+                  .setLabel('Which values are wrong? What should they be?')
+                  .setStyle(TextInputStyle.Paragraph)
+                  .setRequired(true)
+                  .setMaxLength(500)
+              )
+            );
+          await interaction.showModal(modal);
+          return;
+        }
+
+        // confirmed: continue with the normal save/evaluate path
+        pendingSubmissions.delete(submissionId);
+        await safeInteractionRespond(interaction, { content: 'Thanks — saving your submission now.', components: [] }, 'Thanks — saving your submission now.');
+        const guild = await client.guilds.fetch(sub.guildId).catch(() => null);
+        if (!guild) {
+          await interaction.user.send('I could not reach the server this submission was for. Please try again later.').catch(() => null);
+          return;
+        }
+        const member = await guild.members.fetch(interaction.user.id).catch(() => null);
         try {
-          if (interaction.user.id === String(ADMIN_USER_ID)) authorized = true;
-          // if interaction happens in a guild channel, check member permissions
-          if (interaction.member && typeof interaction.member.permissions?.has === 'function') {
-            if (interaction.member.permissions.has(PermissionsBitField.Flags.ManageGuild) || interaction.member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-              authorized = true;
-            }
-          }
-        } catch (e) {
-          if (OCR_DEBUG) console.warn('Auth check error for admin approval interaction:', e?.message || e);
+          await finalizeSubmission({ user: interaction.user, guild, member, parsed: sub.parsed, url: sub.url, image_hash: sub.image_hash });
+        } catch (err) {
+          console.error('Error finalizing confirmed submission:', err?.message || err);
+          await interaction.user.send('Unexpected error while saving your submission. Try again later or contact an admin.').catch(() => null);
+        }
+        return;
+      }
+
+      // /comp queue pagination and item actions
+      if (interaction.customId.startsWith('queue_')) {
+        await handleQueueComponent(interaction);
+        return;
+      }
+
+      // admin re-check of a held submission: cached parse by default, forced fresh parse on request
+      if (interaction.customId.startsWith('admin_recheck:') || interaction.customId.startsWith('admin_reparse:')) {
+        if (!isApprovalAdmin(interaction)) {
+          await interaction.reply({ content: 'You are not authorized to perform this action.', flags: 64 }).catch(() => null);
+          return;
+        }
+        const [action, ...idParts] = interaction.customId.split(':');
+        // a re-check from /comp queue does not turn a flagged record into an approval
+        const pending = await loadQueueItem(interaction.guildId, idParts.join(':'));
+        if (!pending || !pending.newImage) {
+          await interaction.reply({ content: 'This approval request is no longer valid or has no image to re-check.', flags: 64 }).catch(() => null);
+          return;
+        }
+        await interaction.deferReply({ flags: 64 });
+        try {
+          const parsed = await parseImageStats(pending.newImage, {
+            guildId: pending.guildId,
+            forceReparse: action === 'admin_reparse',
+            profile: getGameProfile(pending.gameProfile)
+          });
+          const embed = buildParsedValuesEmbed(parsed)
+            .setTitle(parsed.cached ? 'Re-check (cached parse)' : 'Re-check (fresh parse)')
+            .setFooter({ text: `Source: ${parsed.source ?? 'unknown'}${parsed.flag_reason ? ` — ${parsed.flag_reason}` : ''}`.slice(0, 2048) });
+          await interaction.editReply({ embeds: [embed] });
+        } catch (err) {
+          await interaction.editReply({ content: `Re-check failed: ${err?.message || err}` }).catch(() => null);
         }
+        return;
+      }
 
-        if (!authorized) {
+      // admin approval buttons (now expected in-server admin-approval channel)
+      if (interaction.customId && (interaction.customId.startsWith('admin_approve:') || interaction.customId.startsWith('admin_deny:'))) {
+        if (!isApprovalAdmin(interaction)) {
           await safeInteractionRespond(interaction, { content: 'You are not authorized to perform this action.' }, 'You are not authorized to perform this action.');
           return;
         }
 
         const parts = interaction.customId.split(':');
         const action = parts[0]; // admin_approve or admin_deny
-        const reqId = parts[1];
-        const pending = pendingApprovals.get(reqId);
+        // `rec:<id>` comes from /comp queue for a flagged record that has no approval yet
+        const reqId = await approvalIdForAction(interaction.guildId, parts.slice(1).join(':'));
+        const pending = reqId ? await loadPendingApproval(reqId) : null;
+        // review items (parser disagreement etc.) reuse the tag-approval flow; only the wording differs
+        const subject = pending?.subject || 'tag change';
         if (!pending) {
           // maybe already handled
-          try { await safeInteractionRespond(interaction, { content: 'This approval request is no longer valid or was already handled.', components: [] }, 'This approval request is no longer valid or was already handled.'); } catch(_) {}
+          try { await safeInteractionRespond(interaction, { content: 'This approval request is no longer valid or was already handled.', embeds: [], components: [] }, 'This approval request is no longer valid or was already handled.'); } catch(_) {}
           try { if (interaction.message && interaction.message.deletable) await interaction.message.delete().catch(() => null); } catch (_) {}
           return;
         }
 
+        // decision recorded in comp_pending_approvals once the buttons have been handled
+        let outcome = action === 'admin_approve' ? 'approved' : 'denied';
+
         // Approve
         if (action === 'admin_approve') {
           try {
@@ -1554,11 +3610,14 @@ client.on('interactionCreate', async (interaction) => {
               image_url: pending.newImage || null
             });
 
-            // If an existing other user was flagged due to this duplicate, clear their flagged state if admin wants (optional)
+            // If an existing other user was flagged due to this duplicate, clear that flag — but only that one:
+            // near-duplicate reviews and unrelated flags on the other record are left for admins
             if (pending.otherUserId) {
               try {
-                // clear flagged state for the other user's latest record
-                await updateLatestRecord(pending.otherUserId, pending.guildId, { flagged: false, flag_reason: null });
+                const otherLatest = await getLatestRecord(pending.otherUserId, pending.guildId).catch(() => null);
+                if (otherLatest?.flagged && otherLatest.flag_reason === `Duplicate tag with <@${pending.userId}>`) {
+                  await updateLatestRecord(pending.otherUserId, pending.guildId, { flagged: false, flag_reason: null });
+                }
               } catch (e) {
                 if (OCR_DEBUG) console.warn('Failed to clear flagged state for other user:', e?.message || e);
               }
@@ -1570,7 +3629,8 @@ client.on('interactionCreate', async (interaction) => {
             const u = await client.users.fetch(pending.userId).catch(() => null);
 
             if (latest && guild) {
-              const evalRes = evaluateStats({ win_pct: latest.win_pct, games_played: latest.games_played });
+              const limits = await resolveThresholds(pending.guildId, latest.game_profile);
+              const evalRes = evaluateStats(latest, limits);
 
               if (evalRes.passed) {
                 // try add role automatically
@@ -1592,24 +3652,26 @@ client.on('interactionCreate', async (interaction) => {
                     const botHighestPos = botMember ? botMember.roles.highest.position : -1;
 
                     if (!member) {
-                      if (u) await u.send('Admin approved your tag change but I could not find you in the guild to add the Comp role. Please rejoin or contact an admin.');
-                      await logToGuild(guild, 'Admin approval - member not found', `Approved tag change for <@${pending.userId}> but member not present to grant role.`);
+                      if (u) await u.send(`Admin approved your ${subject} but I could not find you in the guild to add the Comp role. Please rejoin or contact an admin.`);
+                      await logToGuild(guild, 'Admin approval - member not found', `Approved ${subject} for <@${pending.userId}> but member not present to grant role.`);
                     } else if (!botCanManageRoles) {
-                      if (u) await u.send('Admin approved your tag change. You meet verification thresholds but the bot lacks Manage Roles permission to add your Comp role. Ask an admin to assign it.');
-                      await logToGuild(guild, 'Admin approval - missing ManageRoles', `Approved tag change for <@${pending.userId}> but bot lacks ManageRoles.`);
+                      if (u) await u.send(`Admin approved your ${subject}. You meet verification thresholds but the bot lacks Manage Roles permission to add your Comp role. Ask an admin to assign it.`);
+                      await logToGuild(guild, 'Admin approval - missing ManageRoles', `Approved ${subject} for <@${pending.userId}> but bot lacks ManageRoles.`);
                     } else if (roleObj.position >= botHighestPos) {
-                      if (u) await u.send('Admin approved your tag change. You meet verification thresholds but the bot role is lower than the verification role. Ask an admin to move the bot role above the verification role.');
-                      await logToGuild(guild, 'Admin approval - hierarchy issue', `Approved tag change for <@${pending.userId}> but bot role lower than verification role.`);
+                      if (u) await u.send(`Admin approved your ${subject}. You meet verification thresholds but the bot role is lower than the verification role. Ask an admin to move the bot role above the verification role.`);
+                      await logToGuild(guild, 'Admin approval - hierarchy issue', `Approved ${subject} for <@${pending.userId}> but bot role lower than verification role.`);
                     } else {
                       // add role and update DB verified
                       await member.roles.add(roleObj.id, 'Admin-approved player tag change + meets verification thresholds');
+                      await syncTierRoles(guild, member, evalRes.tier, limits.tiers);
                       await updateLatestRecord(pending.userId, pending.guildId, {
                         verified: true,
                         verified_at: new Date().toISOString(),
-                        expires_at: new Date(Date.now() + REVERIFY_DAYS * 24 * 60 * 60 * 1000).toISOString()
+                        expires_at: new Date(Date.now() + limits.reverifyDays * 24 * 60 * 60 * 1000).toISOString()
                       });
-                      if (u) await u.send(`An admin approved your tag change and you meet the verification thresholds. You have been granted the Comp role.`);
-                      await logToGuild(guild, 'Player tag change approved & role granted', `Admin approved tag change and granted role for <@${pending.userId}>. New tag: ${pending.newTag ?? 'N/A'}.`);
+                      await saveRecordTier(pending.userId, pending.guildId, evalRes.tier);
+                      if (u) await u.send(`An admin approved your ${subject} and you meet the verification thresholds. You have been granted the Comp role${evalRes.tier ? ` (tier: ${evalRes.tier})` : ''}.`);
+                      await logToGuild(guild, 'Player tag change approved & role granted', `Admin approved ${subject} and granted role for <@${pending.userId}>. New tag: ${pending.newTag ?? 'N/A'}.`);
 
                       // Post player card to configured channel
                       try {
@@ -1620,71 +3682,41 @@ client.on('interactionCreate', async (interaction) => {
                       }
                     }
                   } else {
-                    if (u) await u.send('Admin approved your tag change, but I could not find or create the verification role in the server. Please contact a server admin.');
-                    if (guild) await logToGuild(guild, 'Admin approval - role missing', `Approved tag change for <@${pending.userId}> but role missing/creation failed.`);
+                    if (u) await u.send(`Admin approved your ${subject}, but I could not find or create the verification role in the server. Please contact a server admin.`);
+                    if (guild) await logToGuild(guild, 'Admin approval - role missing', `Approved ${subject} for <@${pending.userId}> but role missing/creation failed.`);
                   }
                 } catch (err) {
-                  if (u) await u.send('Admin approved your tag change, but the bot failed to add your Comp role due to an error. Contact an admin.');
+                  if (u) await u.send(`Admin approved your ${subject}, but the bot failed to add your Comp role due to an error. Contact an admin.`);
                   if (guild) await logToGuild(guild, 'Admin approval - role assign error', `Error assigning role to <@${pending.userId}>: ${err?.message || err}`);
                 }
               } else {
                 // profile updated but stats do not meet threshold
-                if (u) await u.send(`An admin approved your player tag change. Your profile was updated (new tag: ${pending.newTag ?? 'N/A'}), but your saved stats do not meet the verification thresholds (Win%: ${latest.win_pct ?? 'N/A'}, Games: ${latest.games_played ?? 'N/A'}). No Comp role was assigned.`);
-                if (guild) await logToGuild(guild, 'Player tag change approved - no role (stats low)', `Admin approved tag change for <@${pending.userId}> but stats do not meet thresholds. New tag: ${pending.newTag ?? 'N/A'}.`);
+                if (u) await u.send(`An admin approved your ${subject}. Your profile was updated (new tag: ${pending.newTag ?? 'N/A'}), but your saved stats do not meet the verification thresholds (Win%: ${latest.win_pct ?? 'N/A'}, Games: ${latest.games_played ?? 'N/A'}). No Comp role was assigned.`);
+                if (guild) await logToGuild(guild, 'Player tag change approved - no role (stats low)', `Admin approved ${subject} for <@${pending.userId}> but stats do not meet thresholds. New tag: ${pending.newTag ?? 'N/A'}.`);
               }
             } else {
               // still notify user/admin
-              if (u) await u.send(`An admin approved your tag change. Your player card was updated, but I couldn't finalize role assignment automatically.`);
-              if (guild) await logToGuild(guild, 'Player tag change approved - post-update check failed', `Approved tag change for <@${pending.userId}> but post-update checks failed.`);
+              if (u) await u.send(`An admin approved your ${subject}. Your player card was updated, but I couldn't finalize role assignment automatically.`);
+              if (guild) await logToGuild(guild, 'Player tag change approved - post-update check failed', `Approved ${subject} for <@${pending.userId}> but post-update checks failed.`);
             }
 
             // update the interaction (reply) then delete the message so channel stays clear
             try {
-              await safeInteractionRespond(interaction, { content: 'Approved — user has been updated.', components: [] }, 'Approved — user has been updated.');
+              await safeInteractionRespond(interaction, { content: 'Approved — user has been updated.', embeds: [], components: [] }, 'Approved — user has been updated.');
             } catch (e) {
               try { if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: 'Approved — user has been updated.', flags: 64 }); } catch(_) {}
             }
           } catch (e) {
             console.warn('admin approval error:', e?.message || e);
+            outcome = 'failed';
             try {
-              await safeInteractionRespond(interaction, { content: 'Failed to apply approval. Check logs.', components: [] }, 'Failed to apply approval. Check logs.');
+              await safeInteractionRespond(interaction, { content: 'Failed to apply approval. Check logs.', embeds: [], components: [] }, 'Failed to apply approval. Check logs.');
             } catch (_) {}
           } finally {
             // cleanup pending and admin posted messages (try best-effort)
-            try {
-              const p = pendingApprovals.get(reqId);
-              if (p) {
-                // if we posted to a channel, attempt to delete those messages
-                if (p.adminChannelId && Array.isArray(p.adminMessageIds) && p.adminMessageIds.length > 0) {
-                  try {
-                    const ch = await client.channels.fetch(p.adminChannelId).catch(() => null);
-                    if (ch && ch.messages) {
-                      for (const mid of p.adminMessageIds) {
-                        try {
-                          const m = await ch.messages.fetch(mid).catch(() => null);
-                          if (m && m.deletable) await m.delete().catch(() => null);
-                        } catch (_) {}
-                      }
-                    }
-                  } catch (_) {}
-                } else if (Array.isArray(p.adminMessageIds) && p.adminMessageIds.length > 0) {
-                  // maybe DMed admin; attempt to clean up bot's DM messages if possible
-                  try {
-                    const adminUser = await client.users.fetch(ADMIN_USER_ID).catch(() => null);
-                    if (adminUser && adminUser.dmChannel) {
-                      for (const mid of p.adminMessageIds) {
-                        try {
-                          const m = await adminUser.dmChannel.messages.fetch(mid).catch(() => null);
-                          if (m && m.deletable) await m.delete().catch(() => null);
-                        } catch (_) {}
-                      }
-                    }
-                  } catch (_) {}
-                }
-              }
-            } catch (_) {}
-
-            pendingApprovals.delete(reqId);
+            const p = pendingApprovals.get(reqId);
+            if (p) await deleteApprovalMessages(p);
+            await resolvePendingApproval(reqId, outcome, interaction.user.id);
             // attempt to delete the approval message to keep channel clean
             try { if (interaction.message && interaction.message.deletable) await interaction.message.delete().catch(() => null); } catch (_) {}
           }
@@ -1696,55 +3728,85 @@ client.on('interactionCreate', async (interaction) => {
               flag_reason: 'Denied by admin'
             });
             const u = await client.users.fetch(pending.userId).catch(() => null);
-            if (u) await u.send(`An admin denied your requested player tag change. If you believe this is a mistake, contact an admin.`);
+            if (u) await u.send(`An admin denied your ${subject}. If you believe this is a mistake, contact an admin.`);
             const g = await client.guilds.fetch(pending.guildId).catch(() => null);
-            if (g) await logToGuild(g, 'Player tag change denied', `Admin denied tag change for <@${pending.userId}>. Prev: ${pending.prevTag}, New: ${pending.newTag}.`);
+            if (g) await logToGuild(g, 'Player tag change denied', `Admin denied ${subject} for <@${pending.userId}>. Prev: ${pending.prevTag}, New: ${pending.newTag}.`);
             try {
-              await safeInteractionRespond(interaction, { content: 'Denied — user has been notified.', components: [] }, 'Denied — user has been notified.');
+              await safeInteractionRespond(interaction, { content: 'Denied — user has been notified.', embeds: [], components: [] }, 'Denied — user has been notified.');
             } catch (e) {
               try { if (!interaction.replied && !interaction.deferred) await interaction.reply({ content: 'Denied — user has been notified.', flags: 64 }); } catch(_) {}
             }
           } catch (e) {
             console.warn('admin deny error:', e?.message || e);
-            try { await safeInteractionRespond(interaction, { content: 'Failed to apply denial. Check logs.', components: [] }, 'Failed to apply denial. Check logs.'); } catch(_) {}
+            outcome = 'failed';
+            try { await safeInteractionRespond(interaction, { content: 'Failed to apply denial. Check logs.', embeds: [], components: [] }, 'Failed to apply denial. Check logs.'); } catch(_) {}
           } finally {
             // cleanup admin-posted messages
-            try {
-              const p = pendingApprovals.get(reqId);
-              if (p) {
-                if (p.adminChannelId && Array.isArray(p.adminMessageIds) && p.adminMessageIds.length > 0) {
-                  try {
-                    const ch = await client.channels.fetch(p.adminChannelId).catch(() => null);
-                    if (ch && ch.messages) {
-                      for (const mid of p.adminMessageIds) {
-                        try {
-                          const m = await ch.messages.fetch(mid).catch(() => null);
-                          if (m && m.deletable) await m.delete().catch(() => null);
-                        } catch (_) {}
-                      }
-                    }
-                  } catch (_) {}
-                } else if (Array.isArray(p.adminMessageIds) && p.adminMessageIds.length > 0) {
-                  // attempt DM cleanup
-                  try {
-                    const adminUser = await client.users.fetch(ADMIN_USER_ID).catch(() => null);
-                    if (adminUser && adminUser.dmChannel) {
-                      for (const mid of p.adminMessageIds) {
-                        try {
-                          const m = await adminUser.dmChannel.messages.fetch(mid).catch(() => null);
-                          if (m && m.deletable) await m.delete().catch(() => null);
-                        } catch (_) {}
-                      }
-                    }
-                  } catch (_) {}
-                }
-              }
-            } catch (_) {}
-            pendingApprovals.delete(reqId);
+            const p = pendingApprovals.get(reqId);
+            if (p) await deleteApprovalMessages(p);
+            await resolvePendingApproval(reqId, outcome, interaction.user.id);
             try { if (interaction.message && interaction.message.deletable) await interaction.message.delete().catch(() => null); } catch (_) {}
           }
         }
       }
+    } else if (interaction.isStringSelectMenu()) {
+      if (interaction.customId === 'queue_filter' || interaction.customId.startsWith('queue_open:')) {
+        await handleQueueComponent(interaction);
+        return;
+      }
+      // guild picked for a DM upload from a user who shares several guilds with the bot
+      if (interaction.customId.startsWith('pick_guild:')) {
+        const pickId = interaction.customId.split(':')[1];
+        const pick = pendingGuildPicks.get(pickId);
+        const guildId = interaction.values[0];
+        if (!pick || pick.userId !== interaction.user.id || Date.now() - pick.createdAt > CONFIRM_TIMEOUT_MINUTES * 60 * 1000 || !pick.guildIds.includes(guildId)) {
+          pendingGuildPicks.delete(pickId);
+          await safeInteractionRespond(interaction, { content: 'This server choice has expired. Please upload your screenshot again.', components: [] }, 'This server choice has expired. Please upload your screenshot again.');
+          return;
+        }
+        pendingGuildPicks.delete(pickId);
+        verifyBindings.set(interaction.user.id, { guildId, profileId: null, at: Date.now() });
+        const guildName = client.guilds.cache.get(guildId)?.name || 'that server';
+        await safeInteractionRespond(interaction, { content: `Verifying for **${guildName}**. Your next uploads will also go to this server.`, components: [] }, `Verifying for ${guildName}.`);
+        await processDmUpload(interaction.user, pick.urls, { guildId });
+      }
+    } else if (interaction.isModalSubmit()) {
+      // user explained what the parser got wrong: save flagged and send to admins
+      if (interaction.customId.startsWith('misread_modal:')) {
+        // saving and posting to admins can take longer than Discord's 3 second window, so acknowledge first
+        await interaction.deferUpdate();
+        const submissionId = interaction.customId.split(':')[1];
+        const sub = getPendingSubmission(submissionId, interaction.user.id);
+        if (!sub) {
+          await interaction.editReply({ content: 'This confirmation has expired. Please upload your screenshot again.', components: [] }).catch(() => null);
+          return;
+        }
+        pendingSubmissions.delete(submissionId);
+
+        const note = interaction.fields.getTextInputValue('note').trim();
+        const guild = await client.guilds.fetch(sub.guildId).catch(() => null);
+        if (!guild) {
+          await interaction.editReply({ content: 'I could not reach the server this submission was for. Please try again later.', components: [] }).catch(() => null);
+          return;
+        }
+
+        const flagReason = `User reported misread: ${note}`;
+        const record = buildVerificationRecord(interaction.user, guild.id, sub.parsed, {
+          imageUrl: sub.url,
+          imageHash: sub.image_hash,
+          flagged: true,
+          flagReason
+        });
+        const savedRow = await saveVerificationRecord(record);
+        await requestAdminReview(guild, {
+          userId: interaction.user.id,
+          record: savedRow || record,
+          title: 'User reported a misread screenshot',
+          reason: flagReason
+        });
+        await logToGuild(guild, 'Misread reported', `User <@${interaction.user.id}> reported a misread screenshot: ${note}`);
+        await interaction.editReply({ content: 'Thanks — your submission was saved with your note and sent to an admin for review. You will be notified once it has been checked.', components: [] }).catch(() => null);
+      }
     } else if (interaction.isChatInputCommand()) {
       if (interaction.commandName === 'player') {
         const sub = interaction.options.getSubcommand();
@@ -1767,24 +3829,22 @@ client.on('interactionCreate', async (interaction) => {
             if (OCR_DEBUG) console.warn('Could not fetch member for nickname:', e?.message || e);
           }
 
+          const season = interaction.options.getString('season');
+          if (season) {
+            const archived = await getSeasonArchiveRecord(targetUser.id, guildIdForLookup, season);
+            if (!archived) return interaction.editReply({ content: `No archived record found for ${targetUser.username} in ${season}.` });
+            const embed = buildPlayerCardEmbed(displayName, archived.record || archived)
+              .setTitle(`${displayName} — Comp Stats (${archived.season})`);
+            return interaction.editReply({ embeds: [embed] });
+          }
+
           const rec = await getLatestRecord(targetUser.id, guildIdForLookup);
           if (!rec) return interaction.editReply({ content: `No saved verification found for ${targetUser.username}.` });
 
-          const embed = new EmbedBuilder()
-            .setTitle(`${displayName} — Comp Stats`)
-            .addFields(
-              { name: 'Win percentage', value: rec.win_pct != null ? String(rec.win_pct) : 'N/A', inline: true },
-              { name: 'Games played', value: rec.games_played != null ? String(rec.games_played) : 'N/A', inline: true },
-              { name: 'Points', value: rec.points != null ? String(rec.points) : 'N/A', inline: true },
-              { name: 'Platform / Tag', value: `${rec.platform ?? 'N/A'} ${rec.player_tag ? ` / ${rec.player_tag}` : ''}`, inline: false },
-              { name: 'Verified', value: rec.verified ? `Yes — ${rec.verified_at ? new Date(rec.verified_at).toLocaleString() : 'N/A'}` : 'No', inline: false },
-              { name: 'Flagged', value: rec.flagged ? `Yes — ${rec.flag_reason ?? 'Needs review'}` : 'No', inline: false }
-            )
-            .setTimestamp();
-
-          if (rec.image_url) embed.setImage(rec.image_url);
-          return interaction.editReply({ embeds: [embed] });
+          return interaction.editReply({ embeds: [buildPlayerCardEmbed(displayName, rec)] });
         }
+      } else if (interaction.commandName === 'comp') {
+        await handleCompCommand(interaction);
       }
     }
   } catch (err) {
@@ -1792,425 +3852,1155 @@ client.on('interactionCreate', async (interaction) => {
   }
 });
 
-// ================ DM handler =================
-client.on('messageCreate', async (message) => {
-  if (message.author.bot) return;
-  if (message.channel.type !== ChannelType.DM) return;
+// ================ /comp commands =================
+// comp_settings column per /comp config channel type
+const CONFIG_CHANNELS = {
+  verification: { label: 'Verification channel', column: 'channel_id' },
+  log: { label: 'Log channel', column: 'log_channel_id' },
+  admin: { label: 'Admin approval channel', column: 'admin_channel_id' },
+  player_card: { label: 'Player card channel', column: 'player_card_channel_id' }
+};
+
+async function handleCompCommand(interaction) {
+  if (!interaction.guildId) {
+    await interaction.reply({ content: 'This command can only be used in a server.', flags: 64 });
+    return;
+  }
+  // default member permissions can be overridden per server, so check again here
+  if (!interaction.memberPermissions?.has(PermissionsBitField.Flags.ManageGuild)) {
+    await interaction.reply({ content: 'You need the Manage Server permission to use this command.', flags: 64 });
+    return;
+  }
 
-  if (!message.attachments || message.attachments.size === 0) {
-    await message.reply('Please attach an image screenshot showing your Stats screen (Games Played and Win percentage).');
+  const group = interaction.options.getSubcommandGroup(false);
+  const sub = interaction.options.getSubcommand();
+  if (group === 'config') await handleCompConfig(interaction, sub);
+  else if (group === 'season' && sub === 'close') await handleSeasonClose(interaction);
+  else if (sub === 'reconcile') await handleCompReconcile(interaction);
+  else if (sub === 'queue') await handleCompQueue(interaction);
+}
+
+async function handleSeasonClose(interaction) {
+  await interaction.deferReply({ flags: 64 });
+  const guild = interaction.guild || await client.guilds.fetch(interaction.guildId).catch(() => null);
+  if (!guild) {
+    await interaction.editReply({ content: 'Could not load this server.' });
     return;
   }
+  const newSeason = interaction.options.getString('new_season', true).trim();
+  const removeRoles = interaction.options.getBoolean('remove_roles') ?? false;
+  try {
+    const result = await closeSeason(guild, { newSeason, removeRoles, closedBy: interaction.user.id });
+    await interaction.editReply({
+      content: `Closed **${result.closedSeason}**: archived ${result.archived} player record(s), ` +
+        `cleared ${result.cleared} verification(s), removed roles from ${result.rolesRemoved}` +
+        `${result.kept ? `, ${result.kept} player(s) keep their role until their re-verify deadline` : ''}` +
+        ` and DMed ${result.notified} player(s). The new season is **${newSeason}**.`
+    });
+  } catch (err) {
+    console.warn('/comp season close error:', err?.message || err);
+    await interaction.editReply({ content: `Could not close the season: ${err?.message || err}` }).catch(() => null);
+  }
+}
 
-  const attachment = message.attachments.first();
-  const url = attachment.url;
+async function handleCompReconcile(interaction) {
+  await interaction.deferReply({ flags: 64 });
+  const guild = interaction.guild || await client.guilds.fetch(interaction.guildId).catch(() => null);
+  if (!guild) {
+    await interaction.editReply({ content: 'Could not load this server.' });
+    return;
+  }
+  const fix = interaction.options.getBoolean('fix') ?? false;
+  try {
+    const report = await reconcileGuild(guild, { fix, requestedBy: interaction.user.id });
+    await interaction.editReply({ content: formatReconcileSummary(report) });
+  } catch (err) {
+    console.warn('/comp reconcile error:', err?.message || err);
+    await interaction.editReply({ content: `Reconciliation failed: ${err?.message || err}` }).catch(() => null);
+  }
+}
 
-  if (OCR_DEBUG) {
-    console.log('Received DM attachment:', { url, contentType: attachment.contentType, size: attachment.size, height: attachment.height, width: attachment.width });
+// ================ review queue (/comp queue) =================
+// Reasons the queue can be filtered by, matched against flag_reason / the approval reason.
+// Checked in order: a user-reported misread is an appeal even if the parse was also low confidence.
+const QUEUE_REASONS = {
+  appeal: { label: 'Appeal', pattern: /misread|appeal/i },
+  suspicious: { label: 'Suspicious', pattern: /suspicious|edited screenshot|tamper|near-duplicate/i },
+  duplicate: { label: 'Duplicate tag', pattern: /duplicate tag|tag reassigned/i },
+  unreadable: { label: 'Unreadable', pattern: /low parser confidence|parser disagreement|screenshots disagree|unreadable/i }
+};
+// flags left by an admin decision; those records are no longer waiting on a reviewer
+const QUEUE_CLOSED_REASONS = /^(Denied by admin|New upload requested by admin)/;
+const QUEUE_PAGE_SIZE = 5;
+
+function classifyQueueReason(reason, { tagChange = false } = {}) {
+  if (tagChange) return 'duplicate';
+  for (const [key, r] of Object.entries(QUEUE_REASONS)) {
+    if (r.pattern.test(reason || '')) return key;
+  }
+  return 'other';
+}
+
+// Everything waiting on a reviewer in a guild, oldest first: open approvals plus each player's latest
+// record when it is flagged and not already covered by an open approval.
+async function loadReviewQueue(guildId) {
+  const items = [];
+  const approvalIds = new Set();
+  const { data: rows, error } = await supabase.from('comp_pending_approvals')
+    .select()
+    .eq('guild_id', guildId)
+    .eq('status', 'open');
+  if (error && OCR_DEBUG) console.warn('Review queue: could not load comp_pending_approvals:', error.message);
+  const approvals = (rows || []).map(row => [row.id, pendingApprovalFromRow(row)]);
+  for (const [id, pending] of pendingApprovals) {
+    if (pending.guildId === guildId && !approvals.some(([rowId]) => rowId === id)) approvals.push([id, pending]);
   }
+  const usersWithApproval = new Set();
+  for (const [id, pending] of approvals) {
+    approvalIds.add(id);
+    usersWithApproval.add(pending.userId);
+    const tagChange = !pending.subject;
+    const reason = pending.reason || (pending.altSavedTag ? `Duplicate tag (saved as ${pending.altSavedTag})` : 'Duplicate tag');
+    items.push({
+      key: id,
+      userId: pending.userId,
+      tag: pending.newTag,
+      reason,
+      category: classifyQueueReason(reason, { tagChange }),
+      createdAt: pending.createdAt || null
+    });
+  }
+
+  const recs = await fetchAllRows(() => supabase.from('comp_verifications')
+    .select('id, user_id, player_tag, flagged, flag_reason, created_at')
+    .eq('guild_id', guildId)
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false }));
+  const seen = new Set();
+  for (const rec of recs) {
+    if (seen.has(rec.user_id)) continue;
+    seen.add(rec.user_id);
+    if (!rec.flagged || usersWithApproval.has(rec.user_id) || QUEUE_CLOSED_REASONS.test(rec.flag_reason || '')) continue;
+    items.push({
+      key: `rec:${rec.id}`,
+      userId: rec.user_id,
+      tag: rec.player_tag,
+      reason: rec.flag_reason || 'Flagged',
+      category: classifyQueueReason(rec.flag_reason),
+      createdAt: rec.created_at
+    });
+  }
+
+  return items.sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+}
+
+async function buildQueuePage(guildId, filter = 'all', page = 0) {
+  const all = await loadReviewQueue(guildId);
+  const items = filter === 'all' ? all : all.filter(i => i.category === filter);
+  const pageCount = Math.max(1, Math.ceil(items.length / QUEUE_PAGE_SIZE));
+  page = Math.min(Math.max(0, page), pageCount - 1);
+  const pageItems = items.slice(page * QUEUE_PAGE_SIZE, (page + 1) * QUEUE_PAGE_SIZE);
+  const filterLabel = filter === 'all' ? 'All' : QUEUE_REASONS[filter]?.label || filter;
+
+  const lines = pageItems.map((item, idx) => {
+    const when = item.createdAt ? ` · <t:${Math.floor(new Date(item.createdAt).getTime() / 1000)}:R>` : '';
+    const label = QUEUE_REASONS[item.category]?.label || 'Other';
+    return `**${page * QUEUE_PAGE_SIZE + idx + 1}.** <@${item.userId}> — ${item.tag || 'no tag'} — *${label}*${when}\n${item.reason.slice(0, 150)}`;
+  });
+  const embed = new EmbedBuilder()
+    .setTitle(`Review queue — ${filterLabel}`)
+    .setDescription(lines.length ? lines.join('\n\n') : 'Nothing waiting for review.')
+    .setColor(0xE67E22)
+    .setFooter({ text: `Page ${page + 1}/${pageCount} · ${items.length} item(s)${filter === 'all' ? '' : ` (${all.length} in total)`}` })
+    .setTimestamp();
+
+  const filterMenu = new StringSelectMenuBuilder()
+    .setCustomId('queue_filter')
+    .setPlaceholder('Filter by reason')
+    .addOptions([
+      { label: 'All', value: 'all', default: filter === 'all' },
+      ...Object.entries(QUEUE_REASONS).map(([value, r]) => ({ label: r.label, value, default: filter === value }))
+    ]);
+  const components = [new ActionRowBuilder().addComponents(filterMenu)];
+  if (pageItems.length) {
+    const openMenu = new StringSelectMenuBuilder()
+      .setCustomId(`queue_open:${filter}:${page}`)
+      .setPlaceholder('Open an item')
+      .addOptions(pageItems.map((item, idx) => ({
+        label: `${page * QUEUE_PAGE_SIZE + idx + 1}. ${item.tag || 'no tag'}`.slice(0, 100),
+        description: item.reason.slice(0, 100),
+        value: item.key
+      })));
+    components.push(new ActionRowBuilder().addComponents(openMenu));
+  }
+  components.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`queue_page:${filter}:${page - 1}`).setLabel('Previous').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+    new ButtonBuilder().setCustomId(`queue_page:${filter}:${page + 1}`).setLabel('Next').setStyle(ButtonStyle.Secondary).setDisabled(page >= pageCount - 1),
+    new ButtonBuilder().setCustomId(`queue_refresh:${filter}:${page}`).setLabel('Refresh').setStyle(ButtonStyle.Primary)
+  ));
+  return { content: '', embeds: [embed], components };
+}
+
+// Queue items are either an approval id or `rec:<recordId>` for a flagged record without one. Buttons carry the
+// same key; a record only becomes a comp_pending_approvals row when a reviewer acts on it (approvalIdForAction),
+// so browsing the queue never creates approvals that startup would repost to the admin channel.
+async function getFlaggedQueueRecord(guildId, key) {
+  const { data: rec, error } = await supabase.from('comp_verifications')
+    .select()
+    .eq('id', key.slice(4))
+    .eq('guild_id', guildId)
+    .maybeSingle();
+  return !error && rec && rec.flagged ? rec : null;
+}
 
-  await message.reply('Thanks — processing your screenshot now.');
+function pendingFromFlaggedRecord(rec) {
+  return {
+    subject: 'submission',
+    userId: rec.user_id,
+    guildId: rec.guild_id,
+    prevTag: rec.player_tag ?? null,
+    newTag: rec.player_tag ?? null,
+    newPlatform: rec.platform ?? null,
+    oldImage: null,
+    newImage: rec.image_url ?? null,
+    otherUserId: null,
+    otherImage: null,
+    images: rec.image_urls?.length
+      ? rec.image_urls.map((u, i) => ({ label: `Submitted image ${i + 1}`, url: u }))
+      : (rec.image_url ? [{ label: 'Submitted image', url: rec.image_url }] : []),
+    reason: rec.flag_reason || 'Flagged',
+    gameProfile: rec.game_profile ?? null,
+    adminChannelId: null,
+    adminMessageIds: [],
+    createdAt: rec.created_at
+  };
+}
+
+// Pending state behind a queue key, without writing anything (used for viewing and re-checks).
+async function loadQueueItem(guildId, key) {
+  if (!key.startsWith('rec:')) return loadPendingApproval(key);
+  const rec = guildId ? await getFlaggedQueueRecord(guildId, key) : null;
+  return rec ? pendingFromFlaggedRecord(rec) : null;
+}
+
+// Approval id for an approve / deny / new-upload click: the id itself, or for a flagged record the player's open
+// approval (created now if there is none).
+async function approvalIdForAction(guildId, key) {
+  if (!key.startsWith('rec:')) return key;
+  const rec = guildId ? await getFlaggedQueueRecord(guildId, key) : null;
+  if (!rec) return null;
+
+  const { data: existing } = await supabase.from('comp_pending_approvals')
+    .select('id')
+    .eq('guild_id', guildId)
+    .eq('user_id', rec.user_id)
+    .eq('status', 'open')
+    .limit(1);
+  if (existing && existing.length && await loadPendingApproval(existing[0].id)) return existing[0].id;
+
+  const reqId = crypto.randomUUID();
+  await savePendingApproval(reqId, pendingFromFlaggedRecord(rec));
+  return reqId;
+}
+
+// Detail view of one item: both screenshots (one embed each), the usual admin buttons and new-upload / back.
+async function buildQueueItemView(key, pending, filter, page) {
+  const latest = await getLatestRecord(pending.userId, pending.guildId).catch(() => null);
+  const fields = [
+    { name: 'Submitter', value: `<@${pending.userId}>`, inline: true },
+    { name: 'Tag', value: pending.newTag || 'N/A', inline: true },
+    { name: 'Win percentage', value: latest?.win_pct != null ? String(latest.win_pct) : 'N/A', inline: true },
+    { name: 'Games played', value: latest?.games_played != null ? String(latest.games_played) : 'N/A', inline: true }
+  ];
+  if (pending.otherUserId) fields.push({ name: 'Existing owner', value: `<@${pending.otherUserId}>`, inline: true });
+  if (pending.prevTag && pending.prevTag !== pending.newTag) fields.push({ name: 'Previous tag', value: pending.prevTag, inline: true });
+  if (pending.altSavedTag) fields.push({ name: 'Saved as', value: pending.altSavedTag, inline: true });
+  const reason = pending.reason || 'Duplicate tag';
+  const main = new EmbedBuilder()
+    .setTitle(`Review: ${pending.subject || 'tag change'}`)
+    .setDescription(`**Reason:** ${reason}`.slice(0, 4096))
+    .addFields(fields)
+    .setColor(0xE67E22);
+  if (pending.createdAt) main.setTimestamp(new Date(pending.createdAt));
+
+  const imageEmbeds = pendingApprovalImages(pending)
+    .slice(0, 9)
+    .map(img => new EmbedBuilder().setDescription(img.label).setImage(img.url).setURL(img.url).setColor(0xE67E22));
+
+  const queueRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`queue_reupload:${key}`).setLabel('Request new upload').setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`queue_page:${filter}:${page}`).setLabel('Back to queue').setStyle(ButtonStyle.Secondary)
+  );
+  return { content: '', embeds: [main, ...imageEmbeds], components: [buildPendingApprovalComponents(key, pending), queueRow] };
+}
 
+// Ask the player for a fresh screenshot: the record stays flagged, the approval is closed and the
+// player's next DM upload goes to this guild.
+async function requestNewUpload(reqId, pending, requestedBy) {
+  await updateLatestRecord(pending.userId, pending.guildId, { flagged: true, flag_reason: 'New upload requested by admin' })
+    .catch(e => { if (OCR_DEBUG) console.warn('Failed to flag record for re-upload:', e?.message || e); });
+  verifyBindings.set(pending.userId, { guildId: pending.guildId, profileId: pending.gameProfile || null, at: Date.now() });
+  const guild = await client.guilds.fetch(pending.guildId).catch(() => null);
+  const u = await client.users.fetch(pending.userId).catch(() => null);
+  const dmSent = u
+    ? !!(await u.send(`An admin reviewed your submission${guild ? ` in **${guild.name}**` : ''} and needs a new screenshot. Reply here with a clear screenshot of your Stats screen showing your **Games Played** and **Win percentage**.`).catch(() => null))
+    : false;
+  if (guild) await logToGuild(guild, 'New upload requested', `<@${requestedBy}> asked <@${pending.userId}> for a new screenshot${dmSent ? '' : ' (DM could not be delivered)'}. Reason: ${pending.reason || 'Duplicate tag'}`);
+  await deleteApprovalMessages(pending);
+  await resolvePendingApproval(reqId, 'reupload_requested', requestedBy);
+  return dmSent;
+}
+
+async function handleCompQueue(interaction) {
+  await interaction.deferReply({ flags: 64 });
+  const filter = interaction.options.getString('reason') || 'all';
   try {
-    if (!openai || !activeOpenAIModel) {
-      await message.author.send('Image parsing is currently unavailable because the OpenAI API or a working model is not configured. Please contact a server admin to set a working OPENAI_API_KEY and model.');
-      return;
+    await interaction.editReply(await buildQueuePage(interaction.guildId, filter, 0));
+  } catch (err) {
+    console.warn('/comp queue error:', err?.message || err);
+    await interaction.editReply({ content: `Could not load the review queue: ${err?.message || err}` }).catch(() => null);
+  }
+}
+
+// Buttons and select menus on the /comp queue message (queue_page, queue_refresh, queue_filter, queue_open, queue_reupload)
+async function handleQueueComponent(interaction) {
+  if (!isApprovalAdmin(interaction) || !interaction.guildId) {
+    await interaction.reply({ content: 'You are not authorized to perform this action.', flags: 64 }).catch(() => null);
+    return;
+  }
+  const [action, ...args] = interaction.customId.split(':');
+  await interaction.deferUpdate();
+  try {
+    if (action === 'queue_filter') {
+      await interaction.editReply(await buildQueuePage(interaction.guildId, interaction.values[0], 0));
+    } else if (action === 'queue_page' || action === 'queue_refresh') {
+      await interaction.editReply(await buildQueuePage(interaction.guildId, args[0], Number(args[1]) || 0));
+    } else if (action === 'queue_open') {
+      const [filter, page] = args;
+      const key = interaction.values[0];
+      const pending = await loadQueueItem(interaction.guildId, key);
+      if (!pending) {
+        const view = await buildQueuePage(interaction.guildId, filter, Number(page) || 0);
+        await interaction.editReply({ ...view, content: 'That item was already handled.' });
+        return;
+      }
+      await interaction.editReply(await buildQueueItemView(key, pending, filter, Number(page) || 0));
+    } else if (action === 'queue_reupload') {
+      const reqId = await approvalIdForAction(interaction.guildId, args.join(':'));
+      const pending = reqId ? await loadPendingApproval(reqId) : null;
+      if (!pending) {
+        await interaction.editReply({ content: 'This item was already handled.', embeds: [], components: [] });
+        return;
+      }
+      const dmSent = await requestNewUpload(reqId, pending, interaction.user.id);
+      await interaction.editReply({
+        content: dmSent ? `New upload requested — <@${pending.userId}> has been DMed.` : `Marked for a new upload, but I could not DM <@${pending.userId}>.`,
+        embeds: [],
+        components: []
+      });
     }
+  } catch (err) {
+    console.warn('Review queue interaction error:', err?.message || err);
+    await interaction.editReply({ content: `Review queue error: ${err?.message || err}`, embeds: [], components: [] }).catch(() => null);
+  }
+}
 
-    // download to compute hash
-    const buffer = await downloadImageToBuffer(url);
-    const image_hash = await computeImageHash(buffer);
+async function saveCompSettings(guildId, fields) {
+  const { error } = await supabase.from('comp_settings')
+    .upsert({ guild_id: guildId, ...fields, updated_at: new Date().toISOString() }, { onConflict: ['guild_id'] });
+  if (error) throw new Error(error.message || String(error));
+}
 
-    // find guild & member context
-    const mutual = await findGuildForUser(message.author.id);
-    if (!mutual) {
-      await message.author.send('I could not find a server where you and this bot are both present. Make sure you joined the server you want verification for and try again.');
+// Re-render the pinned verification embed so it shows the new settings
+async function refreshVerificationEmbed(guild) {
+  try {
+    const channelId = await getSavedChannelId(guild.id);
+    const ch = channelId ? await guild.channels.fetch(channelId).catch(() => null) : null;
+    if (ch) await postOrUpdateVerificationEmbed(ch);
+  } catch (err) {
+    if (OCR_DEBUG) console.warn('refreshVerificationEmbed error:', err?.message || err);
+  }
+}
+
+async function buildCompConfigEmbed(guild) {
+  const { data } = await supabase.from('comp_settings').select('*').eq('guild_id', guild.id).maybeSingle();
+  const settings = data || {};
+  const profiles = await getActiveProfilesForGuild(guild.id);
+  const limits = await resolveThresholds(guild.id, profiles[0]?.id);
+  const roleId = await getRoleIdForGuild(guild.id);
+  const cooldown = await getCooldownMinutesForGuild(guild.id);
+  // values not set in comp_settings are shown as defaults
+  const mark = (value) => (value == null ? ' (default)' : '');
+
+  const embed = new EmbedBuilder()
+    .setTitle('Comp verification settings')
+    .setColor(0x3498DB)
+    .setTimestamp();
+  for (const [type, c] of Object.entries(CONFIG_CHANNELS)) {
+    let id = settings[c.column] || null;
+    if (type === 'player_card' && !id) id = PLAYER_CARD_CHANNEL_ID;
+    embed.addFields({ name: c.label, value: id ? `<#${id}>${mark(settings[c.column])}` : 'Not set', inline: true });
+  }
+  embed.addFields(
+    { name: 'Verified role', value: roleId ? `<@&${roleId}>${mark(settings.role_id)}` : 'Not set', inline: true },
+    { name: 'Game profiles', value: profiles.map(p => p.display_name).join(', '), inline: true },
+    { name: 'Min games', value: `${limits.minGames}${mark(settings.min_games)}`, inline: true },
+    { name: 'Min win %', value: `${limits.minWinPct}${mark(settings.min_win_pct)}`, inline: true },
+    { name: 'Re-verify days', value: `${limits.reverifyDays}${mark(settings.reverify_days)}`, inline: true },
+    { name: 'Upload cooldown', value: `${cooldown} min${mark(settings.cooldown_minutes)}`, inline: true }
+  );
+  return embed;
+}
+
+async function handleCompConfig(interaction, sub) {
+  await interaction.deferReply({ flags: 64 });
+  const guild = interaction.guild || await client.guilds.fetch(interaction.guildId).catch(() => null);
+  if (!guild) {
+    await interaction.editReply({ content: 'Could not load this server.' });
+    return;
+  }
+
+  try {
+    if (sub === 'view') {
+      await interaction.editReply({ embeds: [await buildCompConfigEmbed(guild)] });
       return;
     }
-    const guild = mutual.guild;
-    const member = mutual.member;
-    const targetGuildId = guild.id;
 
-    // IMPORTANT: fetch the previous (latest) record BEFORE inserting the new one.
-    const prevRec = await getLatestRecord(message.author.id, targetGuildId).catch(() => null);
+    const botMember = await guild.members.fetch(client.user.id).catch(() => null);
+    let summary;
 
-    // Rate limit: only allow 1 screenshot per hour
-    if (prevRec && prevRec.created_at) {
-      const lastMs = new Date(prevRec.created_at).getTime();
-      const elapsedMs = Date.now() - lastMs;
-      const hourMs = 60 * 60 * 1000;
-      if (elapsedMs < hourMs) {
-        const minutesLeft = Math.ceil((hourMs - elapsedMs) / 60000);
-        await message.author.send(`Please wait ${minutesLeft} minute(s) before uploading another screenshot. Only one upload per hour is allowed.`);
-        if (OCR_DEBUG) await logToGuild(guild, 'Rate limit blocked', `User <@${message.author.id}> tried to upload within rate limit (${minutesLeft}m left).`);
+    if (sub === 'channel') {
+      const type = interaction.options.getString('type', true);
+      const option = interaction.options.getChannel('channel', true);
+      const config = CONFIG_CHANNELS[type];
+      const ch = await guild.channels.fetch(option.id).catch(() => null);
+      if (!config || !ch || ch.type !== ChannelType.GuildText) {
+        await interaction.editReply({ content: 'That channel does not exist in this server or is not a text channel.' });
+        return;
+      }
+      const perms = botMember ? ch.permissionsFor(botMember) : null;
+      if (!perms || !perms.has(PermissionsBitField.Flags.ViewChannel) || !perms.has(PermissionsBitField.Flags.SendMessages)) {
+        await interaction.editReply({ content: `I cannot view or send messages in <#${ch.id}>. Fix the channel permissions and try again.` });
+        return;
+      }
+      await saveCompSettings(guild.id, { [config.column]: ch.id });
+      if (type === 'verification') await postOrUpdateVerificationEmbed(ch);
+      summary = `${config.label} set to <#${ch.id}>`;
+    } else if (sub === 'role') {
+      const role = interaction.options.getRole('role', true);
+      const roleObj = await guild.roles.fetch(role.id).catch(() => null);
+      if (!roleObj || roleObj.id === guild.roles.everyone.id || roleObj.managed) {
+        await interaction.editReply({ content: 'Pick a regular role from this server (not @everyone or a bot/integration role).' });
         return;
       }
+      if (!botMember || !botMember.permissions.has(PermissionsBitField.Flags.ManageRoles)) {
+        await interaction.editReply({ content: 'I need the Manage Roles permission before I can grant a verified role.' });
+        return;
+      }
+      if (roleObj.position >= botMember.roles.highest.position) {
+        await interaction.editReply({ content: `<@&${roleObj.id}> is not below my highest role, so I could not assign it. Move my role above it and try again.` });
+        return;
+      }
+      await saveCompSettings(guild.id, { role_id: roleObj.id });
+      summary = `Verified role set to <@&${roleObj.id}>`;
+    } else if (sub === 'thresholds') {
+      const fields = {};
+      if (interaction.options.getBoolean('reset')) {
+        Object.assign(fields, { min_games: null, min_win_pct: null, reverify_days: null });
+      } else {
+        const minGames = interaction.options.getInteger('min_games');
+        const minWinPct = interaction.options.getNumber('min_win_pct');
+        const reverifyDays = interaction.options.getInteger('reverify_days');
+        if (minGames != null) fields.min_games = minGames;
+        if (minWinPct != null) fields.min_win_pct = minWinPct;
+        if (reverifyDays != null) fields.reverify_days = reverifyDays;
+      }
+      if (Object.keys(fields).length === 0) {
+        await interaction.editReply({ content: 'Nothing to change — pass at least one of min_games, min_win_pct, reverify_days or reset.' });
+        return;
+      }
+      // thresholds_set_at marks the values as a deliberate guild override (see clearLegacyThresholds)
+      try {
+        await saveCompSettings(guild.id, { ...fields, thresholds_set_at: fields.min_games === null ? null : new Date().toISOString() });
+      } catch (e) {
+        if (!/thresholds_set_at/.test(e?.message || '')) throw e;
+        // older schema without comp_settings.thresholds_set_at (see schema.sql): save the thresholds alone
+        await saveCompSettings(guild.id, fields);
+      }
+      summary = fields.min_games === null && fields.min_win_pct === null
+        ? 'Thresholds reset to defaults'
+        : `Thresholds updated: ${Object.entries(fields).map(([k, v]) => `${k}=${v}`).join(', ')}`;
+    } else if (sub === 'cooldown') {
+      const minutes = interaction.options.getInteger('minutes', true);
+      await saveCompSettings(guild.id, { cooldown_minutes: minutes });
+      summary = `Upload cooldown set to ${minutes} minute(s)`;
+    } else {
+      await interaction.editReply({ content: 'Unknown config command.' });
+      return;
     }
 
-    // duplicate image detection (exact same image uploaded before by same user)
-    const dup = await findRecordByHash(message.author.id, targetGuildId, image_hash);
-    if (dup) {
-      await message.author.send('This screenshot has already been uploaded by you previously. Duplicate screenshots are not allowed. If you believe this is a mistake, contact an admin.');
-      await logToGuild(guild, 'Duplicate screenshot blocked', `User <@${message.author.id}> attempted to upload a duplicate screenshot (hash ${image_hash}).`);
-      return;
+    await refreshVerificationEmbed(guild);
+    await logToGuild(guild, 'Settings changed', `${summary} by <@${interaction.user.id}>.`);
+    await interaction.editReply({ content: `${summary}.`, embeds: [await buildCompConfigEmbed(guild)] });
+  } catch (err) {
+    console.warn('/comp config error:', err?.message || err);
+    await interaction.editReply({ content: `Could not update settings: ${err?.message || err}` }).catch(() => null);
+  }
+}
+
+// ================ parse confirmation =================
+// A new upload replaces the user's unconfirmed one for the same guild, so only one can ever be saved.
+function createPendingSubmission(entry) {
+  const now = Date.now();
+  for (const [id, sub] of pendingSubmissions) {
+    if (now - sub.createdAt > CONFIRM_TIMEOUT_MINUTES * 60 * 1000) pendingSubmissions.delete(id);
+    else if (sub.userId === entry.userId && sub.guildId === entry.guildId) pendingSubmissions.delete(id);
+  }
+  const submissionId = crypto.randomUUID();
+  pendingSubmissions.set(submissionId, { ...entry, createdAt: now });
+  return submissionId;
+}
+
+// Start time of the user's newest unconfirmed upload for a guild (0 if none); counts toward the upload cooldown
+function lastPendingSubmissionAt(userId, guildId) {
+  let last = 0;
+  for (const sub of pendingSubmissions.values()) {
+    if (sub.userId === userId && sub.guildId === guildId && Date.now() - sub.createdAt <= CONFIRM_TIMEOUT_MINUTES * 60 * 1000) {
+      last = Math.max(last, sub.createdAt);
     }
+  }
+  return last;
+}
 
-    // parse image (OpenAI)
-    let parsed;
-    try {
-      parsed = await parseImageStats(url);
-    } catch (openaiErr) {
-      // detect rate limit or service errors and inform user clearly
-      if (String(openaiErr?.message || '').toLowerCase().includes('rate')) {
-        await message.author.send('Image parsing failed due to a rate limit on the OCR service. Please wait a minute and try again. If this persists, contact an admin.');
-        await logToGuild(guild, 'OpenAI rate limit', `OpenAI parse rate-limited for user <@${message.author.id}>. Error: ${String(openaiErr?.message || openaiErr)}`);
+// Returns the pending submission if it exists, belongs to userId and has not expired.
+function getPendingSubmission(submissionId, userId) {
+  const sub = pendingSubmissions.get(submissionId);
+  if (!sub) return null;
+  if (Date.now() - sub.createdAt > CONFIRM_TIMEOUT_MINUTES * 60 * 1000) {
+    pendingSubmissions.delete(submissionId);
+    return null;
+  }
+  if (sub.userId !== userId) return null;
+  return sub;
+}
+
+function formatGameModes(rec) {
+  if (Array.isArray(rec?.mode_stats) && rec.mode_stats.length > 0) {
+    return rec.mode_stats.map(sec => `${GAME_MODES[sec.mode] || sec.mode}: ${sec.games_played ?? 'N/A'} games, ${sec.win_pct ?? 'N/A'}%`).join('\n');
+  }
+  return rec?.game_mode ? (GAME_MODES[rec.game_mode] || rec.game_mode) : 'N/A';
+}
+
+function buildParsedValuesEmbed(parsed) {
+  const embed = new EmbedBuilder()
+    .setTitle('Please confirm your stats')
+    .addFields(
+      { name: 'Player tag', value: parsed.player_tag ?? 'N/A', inline: true },
+      { name: 'Platform', value: parsed.platform ?? 'N/A', inline: true },
+      { name: '\u200b', value: '\u200b', inline: true },
+      { name: 'Games played', value: parsed.games_played != null ? String(parsed.games_played) : 'N/A', inline: true },
+      { name: 'Win percentage', value: parsed.win_pct != null ? `${parsed.win_pct}%` : 'N/A', inline: true },
+      { name: '\u200b', value: '\u200b', inline: true },
+      { name: 'PTS / REB / AST', value: `${parsed.points ?? 'N/A'} / ${parsed.rebounds ?? 'N/A'} / ${parsed.assists ?? 'N/A'}`, inline: true },
+      { name: 'Game mode', value: formatGameModes(parsed), inline: true },
+      { name: 'Build', value: formatBuild(parsed) || 'N/A', inline: false }
+    )
+    .setFooter({ text: 'If any value is wrong, press "This was misread" and tell us what it should be.' })
+    .setColor(0x3498DB)
+    .setTimestamp();
+
+  if (parsed.image_urls && parsed.image_urls.length > 1 && parsed.field_sources) {
+    const sources = Object.entries(parsed.field_sources).map(([field, idx]) => `${field}: screenshot ${idx + 1}`).join('\n');
+    embed.addFields({ name: `Read from ${parsed.image_urls.length} screenshots`, value: sources || 'N/A', inline: false });
+  }
+  return embed;
+}
+
+// --- Defensive normalization: coerce & validate parsed fields so empty/whitespace tags are treated as missing ---
+function normalizeParsedFields(parsed) {
+  parsed.player_tag = parsed.player_tag ? String(parsed.player_tag).trim() : null;
+  parsed.games_played = (parsed.games_played != null && parsed.games_played !== '') ? Number(parsed.games_played) : null;
+  parsed.win_pct = (parsed.win_pct != null && parsed.win_pct !== '') ? Number(parsed.win_pct) : null;
+  if (!Number.isFinite(parsed.games_played)) parsed.games_played = null;
+  if (!Number.isFinite(parsed.win_pct)) parsed.win_pct = null;
+  return parsed;
+}
+
+// Merge the parses of several screenshots from one submission (e.g. stats screen + profile screen).
+// Each field comes from the first image that has it; field_sources maps field -> index into image_urls.
+// Images that disagree on a field flag the merged result.
+const MERGE_FIELDS = [
+  'games_played', 'win_pct', 'points', 'rebounds', 'assists', 'player_tag', 'platform', 'game_mode',
+  'position', 'archetype', 'overall', 'height', 'badge_count'
+];
+function mergeImageParses(images) {
+  const merged = {};
+  const field_sources = {};
+  const confidence = {};
+  const conflicts = [];
+
+  for (const field of MERGE_FIELDS) {
+    merged[field] = null;
+    images.forEach((img, idx) => {
+      const value = img.parsed[field];
+      if (value == null) return;
+      if (merged[field] == null) {
+        merged[field] = value;
+        field_sources[field] = idx;
+        if (img.parsed.confidence && img.parsed.confidence[field] !== undefined) confidence[field] = img.parsed.confidence[field];
         return;
       }
-      // generic fallback
-      throw openaiErr;
-    }
+      const same = typeof value === 'number'
+        ? Math.abs(Number(value) - Number(merged[field])) < 0.05
+        : normalizeName(value) === normalizeName(merged[field]);
+      if (!same) conflicts.push(`${field} image${field_sources[field] + 1}=${merged[field]} vs image${idx + 1}=${value}`);
+    });
+  }
 
-    parsed.image_hash = parsed.image_hash || image_hash;
+  const flagReasons = images
+    .map((img, idx) => (img.parsed.flagged ? `image${idx + 1}: ${img.parsed.flag_reason}` : null))
+    .filter(Boolean);
+  if (conflicts.length > 0) flagReasons.unshift(`Screenshots disagree: ${conflicts.join('; ')}`);
 
-    // --- Defensive normalization: coerce & validate parsed fields so empty/whitespace tags are treated as missing ---
-    parsed.player_tag = parsed.player_tag ? String(parsed.player_tag).trim() : null;
-    parsed.games_played = (parsed.games_played != null && parsed.games_played !== '') ? Number(parsed.games_played) : null;
-    parsed.win_pct = (parsed.win_pct != null && parsed.win_pct !== '') ? Number(parsed.win_pct) : null;
-    if (!Number.isFinite(parsed.games_played)) parsed.games_played = null;
-    if (!Number.isFinite(parsed.win_pct)) parsed.win_pct = null;
+  const joinRaw = key => {
+    const parts = images.map((img, idx) => img.parsed[key] ? `[image${idx + 1}]\n${img.parsed[key]}` : null).filter(Boolean);
+    return parts.length ? parts.join('\n-----\n') : null;
+  };
+  const tamperScores = images.map(img => img.parsed.tamper_score).filter(v => v != null);
 
-    // If we could not parse the essential fields, refuse and do NOT save
-    const essentialMissing = (parsed.player_tag == null) || (parsed.games_played == null) || (parsed.win_pct == null);
-    if (essentialMissing) {
-      await message.author.send('I could not reliably read important parts of your screenshot (games, win%, or player tag). Please upload a clear full screenshot where your player tag is visible and re-try. Do not crop the tag. Your upload was not saved.');
-      await logToGuild(guild, 'Unreadable screenshot refused', `User <@${message.author.id}> uploaded an unreadable screenshot. Parsed: ${JSON.stringify({ player_tag: parsed.player_tag, games_played: parsed.games_played, win_pct: parsed.win_pct })}`);
-      return;
-    }
+  return {
+    ...merged,
+    source: Array.from(new Set(images.map(img => img.parsed.source).filter(Boolean))).join(','),
+    raw_openai: joinRaw('raw_openai'),
+    raw_ocr: joinRaw('raw_ocr'),
+    confidence: normalizeConfidence(confidence),
+    phash: images[field_sources.games_played ?? 0]?.parsed.phash || null,
+    phashes: images.map(img => img.parsed.phash).filter(Boolean),
+    phash_center: images[field_sources.games_played ?? 0]?.parsed.phash_center || null,
+    phash_center_variants: images.flatMap(img => img.parsed.phash_center_variants || []),
+    tamper_score: tamperScores.length ? Math.max(...tamperScores) : null,
+    tamper_reasons: images.flatMap((img, idx) => (img.parsed.tamper_reasons || []).map(r => `image${idx + 1}: ${r}`)),
+    mode_stats: images.find(img => img.parsed.mode_stats)?.parsed.mode_stats || null,
+    image_urls: images.map(img => img.url),
+    image_hashes: images.map(img => img.image_hash),
+    image_hash: images[field_sources.games_played ?? 0]?.image_hash || images[0].image_hash,
+    field_sources,
+    flagged: flagReasons.length > 0,
+    flag_reason: flagReasons.length > 0 ? flagReasons.join(' | ') : null
+  };
+}
 
-    // Check for duplicate player_tag across the guild (other users)
-    let conflictRecord = null;
+// ================ submission processing =================
+// Everything after a parse has been confirmed by the user: duplicate-tag handling, review holds,
+// saving, evaluation and role assignment. Runs when the user confirms the parse, so the previous record and the
+// duplicate-screenshot check are read now rather than at upload time.
+async function finalizeSubmission({ user, guild, member, parsed, url, image_hash }) {
+  const targetGuildId = guild.id;
+  const limits = await resolveThresholds(targetGuildId, parsed.game_profile);
+
+  // fetch the previous (latest) record BEFORE inserting the new one
+  const prevRec = await getLatestRecord(user.id, targetGuildId).catch(() => null);
+  if (await findRecordByHash(user.id, targetGuildId, image_hash)) {
+    await user.send('This screenshot has already been saved for you. Duplicate screenshots are not allowed. If you believe this is a mistake, contact an admin.');
+    await logToGuild(guild, 'Duplicate screenshot blocked', `User <@${user.id}> confirmed a screenshot that was already saved (hash ${image_hash}).`);
+    return;
+  }
+
+  // Check for duplicate player_tag across the guild (other users)
+  let conflictRecord = null;
+  try {
+    // search for any record with same tag but different user
+    const q = await supabase.from('comp_verifications')
+      .select()
+      .eq('guild_id', targetGuildId)
+      .eq('player_tag', parsed.player_tag)
+      .neq('user_id', user.id)
+      .order('created_at', { ascending: false })
+      .limit(1);
+    if (!q.error && q.data && q.data.length > 0) conflictRecord = q.data[0];
+  } catch (e) {
+    if (OCR_DEBUG) console.warn('Error checking duplicate tag:', e?.message || e);
+  }
+
+  // If duplicate tag exists: save as flagged and alert admin with both screenshots
+  if (conflictRecord) {
+    const expiresAt = new Date(Date.now() + limits.reverifyDays * 24 * 60 * 60 * 1000).toISOString();
+    const toInsert = buildVerificationRecord(user, targetGuildId, parsed, {
+      imageUrl: url,
+      imageHash: image_hash,
+      expiresAt,
+      flagged: true,
+      flagReason: `Duplicate tag with <@${conflictRecord.user_id}>`
+    });
+
+    const savedRow = await saveVerificationRecord(toInsert);
+
+    // Optionally flag the existing conflicting record so admin sees it in flagged list too
     try {
-      // search for any record with same tag but different user
-      const q = await supabase.from('comp_verifications')
-        .select()
-        .eq('guild_id', targetGuildId)
-        .eq('player_tag', parsed.player_tag)
-        .neq('user_id', message.author.id)
-        .order('created_at', { ascending: false })
-        .limit(1);
-      if (!q.error && q.data && q.data.length > 0) conflictRecord = q.data[0];
+      await updateLatestRecord(conflictRecord.user_id, targetGuildId, { flagged: true, flag_reason: `Duplicate tag with <@${user.id}>` });
     } catch (e) {
-      if (OCR_DEBUG) console.warn('Error checking duplicate tag:', e?.message || e);
-    }
-
-    // If duplicate tag exists: save as flagged and alert admin with both screenshots
-    if (conflictRecord) {
-      const expiresAt = new Date(Date.now() + REVERIFY_DAYS * 24 * 60 * 60 * 1000).toISOString();
-      const toInsert = {
-        user_id: message.author.id,
-        username: `${message.author.username}#${message.author.discriminator}`,
-        guild_id: targetGuildId,
-        win_pct: parsed.win_pct,
-        games_played: parsed.games_played,
-        points: parsed.points || null,
-        rebounds: parsed.rebounds || null,
-        assists: parsed.assists || null,
-        player_tag: parsed.player_tag || null,
-        platform: parsed.platform || null,
-        image_url: url,
-        image_hash: parsed.image_hash || image_hash,
-        verified: false,
-        verified_at: null,
-        expires_at: expiresAt,
-        flagged: true,
-        flag_reason: `Duplicate tag with <@${conflictRecord.user_id}>`,
-        created_at: new Date().toISOString()
-      };
-      if (parsed.raw_openai) toInsert.raw_openai = parsed.raw_openai;
-      if (parsed.source) toInsert.source = parsed.source;
-
-      const savedRow = await saveVerificationRecord(toInsert);
-
-      // Optionally flag the existing conflicting record so admin sees it in flagged list too
-      try {
-        await updateLatestRecord(conflictRecord.user_id, targetGuildId, { flagged: true, flag_reason: `Duplicate tag with <@${message.author.id}>` });
-      } catch (e) {
-        if (OCR_DEBUG) console.warn('Failed to flag existing conflicting record:', e?.message || e);
-      }
+      if (OCR_DEBUG) console.warn('Failed to flag existing conflicting record:', e?.message || e);
+    }
 
-      // Build admin embed showing both screenshots
-      const reqId = crypto.randomUUID();
-      const pending = {
-        userId: message.author.id,
-        guildId: targetGuildId,
-        prevTag: conflictRecord.player_tag,
-        newTag: parsed.player_tag,
-        newPlatform: parsed.platform,
-        oldImage: conflictRecord.image_url || null,
-        newImage: url,
-        otherUserId: conflictRecord.user_id,
-        otherImage: conflictRecord.image_url || null,
-        adminChannelId: null,
-        adminMessageIds: []
-      };
-      pendingApprovals.set(reqId, pending);
-
-      const adminEmbed = new EmbedBuilder()
-        .setTitle('Duplicate player tag detected')
-        .setDescription(`A new submission uses a player tag that already exists in the system.\n\nTag: **${parsed.player_tag}**\nNew submitter: <@${message.author.id}>\nExisting owner: <@${conflictRecord.user_id}>\n\nPlease review the two screenshots below and decide which submission to accept.`)
-        .addFields(
-          { name: 'Guild', value: `<@${targetGuildId}> (${targetGuildId})`, inline: true },
-          { name: 'New submitter', value: `<@${message.author.id}>`, inline: true },
-          { name: 'Existing owner', value: `<@${conflictRecord.user_id}>`, inline: true }
-        )
-        .setTimestamp();
+    // Build admin embed showing both screenshots
+    const reqId = crypto.randomUUID();
+    const pending = {
+      userId: user.id,
+      guildId: targetGuildId,
+      prevTag: conflictRecord.player_tag,
+      newTag: parsed.player_tag,
+      newPlatform: parsed.platform,
+      oldImage: conflictRecord.image_url || null,
+      newImage: url,
+      otherUserId: conflictRecord.user_id,
+      otherImage: conflictRecord.image_url || null,
+      adminChannelId: null,
+      adminMessageIds: []
+    };
+    await savePendingApproval(reqId, pending);
 
-      const comps = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`admin_approve:${reqId}`).setLabel('Approve new submission').setStyle(ButtonStyle.Success),
-        new ButtonBuilder().setCustomId(`admin_deny:${reqId}`).setLabel('Keep existing / Deny new').setStyle(ButtonStyle.Danger)
-      );
+    const adminEmbed = new EmbedBuilder()
+      .setTitle('Duplicate player tag detected')
+      .setDescription(`A new submission uses a player tag that already exists in the system.\n\nTag: **${parsed.player_tag}**\nNew submitter: <@${user.id}>\nExisting owner: <@${conflictRecord.user_id}>\n\nPlease review the two screenshots below and decide which submission to accept.`)
+      .addFields(
+        { name: 'Guild', value: `<@${targetGuildId}> (${targetGuildId})`, inline: true },
+        { name: 'New submitter', value: `<@${user.id}>`, inline: true },
+        { name: 'Existing owner', value: `<@${conflictRecord.user_id}>`, inline: true }
+      )
+      .setTimestamp();
 
-      // Try posting to admin approval channel first
-      let posted = false;
-      try {
-        const adminCh = await findOrCreateAdminApprovalChannel(guild).catch(() => null);
-        if (adminCh) {
-          const sent = await adminCh.send({ embeds: [adminEmbed], components: [comps] }).catch(() => null);
-          if (sent) {
-            posted = true;
-            pending.adminChannelId = adminCh.id;
-            pending.adminMessageIds.push(sent.id);
-            if (pending.oldImage) {
-              const oldMsg = await adminCh.send({ content: `Existing owner image for <@${conflictRecord.user_id}>: ${pending.oldImage}` }).catch(() => null);
-              if (oldMsg) pending.adminMessageIds.push(oldMsg.id);
-            }
-            if (pending.newImage) {
-              const newMsg = await adminCh.send({ content: `New submitter image: ${pending.newImage}` }).catch(() => null);
-              if (newMsg) pending.adminMessageIds.push(newMsg.id);
-            }
-            await message.author.send('Your submission was saved but flagged because that player tag already exists. An admin will review this and notify both parties.');
-            await client.users.send(conflictRecord.user_id, `Your player tag (${parsed.player_tag}) was used in a new submission and has been flagged. An admin will review the two screenshots.`).catch(() => null);
-            await logToGuild(guild, 'Duplicate tag flagged', `User <@${message.author.id}> submitted tag ${parsed.player_tag} which conflicts with <@${conflictRecord.user_id}>.`);
-          }
-        }
-      } catch (e) {
-        if (OCR_DEBUG) console.warn('Admin approval channel post failed:', e?.message || e);
-      }
+    if (await postApprovalMessages(guild, reqId, pending, adminEmbed, buildPendingApprovalComponents(reqId, pending))) {
+      await user.send('Your submission was saved but flagged because that player tag already exists. An admin will review this and notify both parties.');
+      await client.users.send(conflictRecord.user_id, `Your player tag (${parsed.player_tag}) was used in a new submission and has been flagged. An admin will review the two screenshots.`).catch(() => null);
+      await logToGuild(guild, 'Duplicate tag flagged', `User <@${user.id}> submitted tag ${parsed.player_tag} which conflicts with <@${conflictRecord.user_id}>.`);
+    } else {
+      await user.send('Admin not reachable. Please contact a server admin directly.').catch(() => null);
+      await logToGuild(guild, 'Duplicate tag - admin not reachable', `No admin channel or admin DM was available for duplicate tag ${parsed.player_tag} by <@${user.id}>`);
+    }
 
-      if (!posted) {
-        // fallback to DM the configured admin user
-        try {
-          const adminUser = await client.users.fetch(ADMIN_USER_ID).catch(() => null);
-          if (adminUser) {
-            const dmmsg = await adminUser.send({ embeds: [adminEmbed], components: [comps] }).catch(() => null);
-            if (dmmsg) pending.adminMessageIds.push(dmmsg.id);
-            if (pending.oldImage) {
-              const oldDm = await adminUser.send({ content: `Existing owner image for <@${conflictRecord.user_id}>: ${pending.oldImage}` }).catch(() => null);
-              if (oldDm) pending.adminMessageIds.push(oldDm.id);
-            }
-            if (pending.newImage) {
-              const newDm = await adminUser.send({ content: `New submitter image: ${pending.newImage}` }).catch(() => null);
-              if (newDm) pending.adminMessageIds.push(newDm.id);
-            }
-            await message.author.send('Your submission was saved but flagged because that player tag already exists. An admin will review this and notify both parties.');
-            await client.users.send(conflictRecord.user_id, `Your player tag (${parsed.player_tag}) was used in a new submission and has been flagged. An admin will review the two screenshots.`).catch(() => null);
-            await logToGuild(guild, 'Duplicate tag flagged', `User <@${message.author.id}> submitted tag ${parsed.player_tag} which conflicts with <@${conflictRecord.user_id}>.`);
-          } else {
-            if (OCR_DEBUG) console.warn('Admin user not found', ADMIN_USER_ID);
-            await message.author.send('Admin not reachable. Please contact a server admin directly.');
-            await logToGuild(guild, 'Duplicate tag - admin not found', `Admin ${ADMIN_USER_ID} not found for duplicate tag ${parsed.player_tag}`);
-          }
-        } catch (e) {
-          if (OCR_DEBUG) console.warn('Failed to send DM to admin fallback:', e?.message || e);
-          await message.author.send('Could not contact the admin at this time. Please contact a server admin directly.');
-          await logToGuild(guild, 'Duplicate tag - admin DM failed', `Could not send DM to admin for duplicate tag ${parsed.player_tag} by <@${message.author.id}>`);
-        }
-      }
+    return;
+  }
 
-      return;
+  // Low confidence on an essential field: hold for manual review rather than auto-verifying a guess
+  if (!parsed.flagged && parsed.confidence) {
+    const minConfidence = await getMinConfidenceForGuild(targetGuildId);
+    const low = ['games_played', 'win_pct', 'player_tag']
+      .filter(f => parsed.confidence[f] != null && parsed.confidence[f] < minConfidence)
+      .map(f => `${f}=${parsed.confidence[f]}`);
+    if (low.length > 0) {
+      parsed.flagged = true;
+      parsed.flag_reason = `Low parser confidence (below ${minConfidence}): ${low.join(', ')}`;
     }
+  }
 
-    // No duplicate tag conflict -> proceed to save and evaluate as before
-    const expiresAt = new Date(Date.now() + REVERIFY_DAYS * 24 * 60 * 60 * 1000).toISOString();
-    const toInsert = {
-      user_id: message.author.id,
-      username: `${message.author.username}#${message.author.discriminator}`,
-      guild_id: targetGuildId,
-      win_pct: parsed.win_pct,
-      games_played: parsed.games_played,
-      points: parsed.points || null,
-      rebounds: parsed.rebounds || null,
-      assists: parsed.assists || null,
-      player_tag: parsed.player_tag || null,
-      platform: parsed.platform || null,
-      image_url: url,
-      image_hash: parsed.image_hash || image_hash,
-      verified: false,
-      verified_at: null,
-      expires_at: expiresAt,
-      flagged: false,
-      flag_reason: null,
-      created_at: new Date().toISOString()
-    };
-    if (parsed.raw_openai) toInsert.raw_openai = parsed.raw_openai;
-    if (parsed.source) toInsert.source = parsed.source;
+  // Screenshot forensics: likely edited images never auto-verify
+  const reviewImages = [];
+  let reviewOtherUserId = null;
+  if (!parsed.flagged && parsed.tamper_score != null) {
+    const tamperThreshold = await getTamperThresholdForGuild(targetGuildId);
+    if (parsed.tamper_score >= tamperThreshold) {
+      parsed.flagged = true;
+      parsed.flag_reason = `Possible edited screenshot (tamper score ${parsed.tamper_score}/${tamperThreshold}): ${(parsed.tamper_reasons || []).join('; ')}`;
+    }
+  }
+
+  // Same (or re-compressed / resized) screenshot already used by another player in this guild.
+  // A close hash alone is not enough (same game screen, different player): the parsed tag or stats must match too.
+  if (!parsed.flagged && parsed.phash) {
+    const maxDistance = await getPhashThresholdForGuild(targetGuildId);
+    const similar = (await findSimilarImageRecords(targetGuildId, {
+      phashes: parsed.phashes && parsed.phashes.length ? parsed.phashes : [parsed.phash],
+      centerHashes: parsed.phash_center_variants || []
+    }, user.id, maxDistance)).filter(r => sameScreenshotContent(parsed, r));
+    if (similar.length > 0) {
+      const match = similar[0];
+      parsed.flagged = true;
+      parsed.flag_reason = `Near-duplicate of screenshot used by <@${match.user_id}> (distance ${match.distance}/${maxDistance})`;
+      reviewOtherUserId = match.user_id;
+      if (match.image_url) reviewImages.push({ label: `Existing image for <@${match.user_id}>`, url: match.image_url });
+      reviewImages.push({ label: 'New submitter image', url });
+    }
+  }
+
+  // Compare against the player's earlier submissions (edited / borrowed screenshot detection)
+  if (!parsed.flagged && PLAUSIBILITY_CHECKS_ENABLED) {
+    // only this season's records for the same game: stats reset with a new season or game version
+    const history = await getRecentRecords(user.id, targetGuildId, {
+      season: parsed.season !== undefined ? parsed.season : await getCurrentSeason(targetGuildId),
+      gameProfile: parsed.game_profile || DEFAULT_GAME_PROFILE
+    }).catch(() => []);
+    const check = validateAgainstHistory(parsed, history);
+    if (check.suspicious) {
+      parsed.flagged = true;
+      parsed.flag_reason = `Suspicious vs history: ${check.reasons.join('; ')}`;
+      if (check.baseline?.image_url) reviewImages.push({ label: 'Previous accepted image', url: check.baseline.image_url });
+      reviewImages.push({ label: 'New image', url });
+    }
+  }
+
+  // Parsers disagreed, were unsure or the stats look implausible: save flagged and hand to admins instead of evaluating
+  if (parsed.flagged) {
+    const toInsert = buildVerificationRecord(user, targetGuildId, parsed, {
+      imageUrl: url,
+      imageHash: image_hash,
+      flagged: true,
+      flagReason: parsed.flag_reason
+    });
 
     const savedRow = await saveVerificationRecord(toInsert);
+    await requestAdminReview(guild, {
+      userId: user.id,
+      record: savedRow || toInsert,
+      title: 'Submission held — manual review required',
+      reason: parsed.flag_reason,
+      images: reviewImages,
+      otherUserId: reviewOtherUserId
+    });
+    await user.send('Your screenshot was saved, but the values could not be confirmed automatically, so it was sent to an admin for review. You will be notified once it has been checked.');
+    await logToGuild(guild, 'Submission flagged for review', `User <@${user.id}>: ${parsed.flag_reason}`);
+    return;
+  }
 
-    // Evaluate stats
-    const evalRes = evaluateStats({ win_pct: parsed.win_pct, games_played: parsed.games_played });
+  // No duplicate tag conflict -> proceed to save and evaluate as before
+  const expiresAt = new Date(Date.now() + limits.reverifyDays * 24 * 60 * 60 * 1000).toISOString();
+  const toInsert = buildVerificationRecord(user, targetGuildId, parsed, { imageUrl: url, imageHash: image_hash, expiresAt });
 
-    // If prev verified and now fails: warn user and attempt removal (existing logic, unchanged)
-    if (prevRec && prevRec.verified && (!evalRes.meetsGames || !evalRes.meetsWin)) {
-      try {
-        const persistedRoleId = await getRoleIdForGuild(guild.id);
-        let roleToRemove = null;
-        if (persistedRoleId) roleToRemove = await guild.roles.fetch(persistedRoleId).catch(() => null);
-        if (!roleToRemove) roleToRemove = guild.roles.cache.find(r => r.name === 'Comp Verified' || r.name === 'Comp') || null;
+  const savedRow = await saveVerificationRecord(toInsert);
 
-        if (roleToRemove && member) {
-          const botMember = await guild.members.fetch(client.user.id).catch(() => null);
-          const botCanManageRoles = botMember ? botMember.permissions.has(PermissionsBitField.Flags.ManageRoles) : false;
-          const botHighestPos = botMember ? botMember.roles.highest.position : -1;
+  // Evaluate stats
+  const evalRes = evaluateStats(parsed, limits);
+  const modeNote = evalRes.note ? ` ${evalRes.note}` : '';
+
+  // If prev verified and now fails: warn user and attempt removal (existing logic, unchanged)
+  // a role kept past a season close (role_expires_at) counts as verified here, so a failed re-upload removes it
+  if (prevRec && (prevRec.verified || isRecordActive(prevRec)) && (!evalRes.meetsGames || !evalRes.meetsWin)) {
+    try {
+      const persistedRoleId = await getRoleIdForGuild(guild.id);
+      let roleToRemove = null;
+      if (persistedRoleId) roleToRemove = await guild.roles.fetch(persistedRoleId).catch(() => null);
+      if (!roleToRemove) roleToRemove = guild.roles.cache.find(r => isVerifiedRoleName(r.name)) || null;
 
-          // refresh roles cache and check if the user actually has the role
-          try { await member.roles.fetch(); } catch (_) {}
+      if (roleToRemove && member) {
+        const botMember = await guild.members.fetch(client.user.id).catch(() => null);
+        const botCanManageRoles = botMember ? botMember.permissions.has(PermissionsBitField.Flags.ManageRoles) : false;
+        const botHighestPos = botMember ? botMember.roles.highest.position : -1;
 
-          // Heads-up DM BEFORE removing the role (only if they currently have it)
-          try {
-            if (member.roles.cache.has(roleToRemove.id)) {
-              await message.author.send(
-                `Heads up — your new screenshot does not meet the Comp requirements ` +
-                `(Win: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}). I will attempt to remove your Comp role.`
-              );
-            }
-          } catch (_) {}
+        // refresh roles cache and check if the user actually has the role
+        try { await member.roles.fetch(); } catch (_) {}
 
-          if (!member.roles.cache.has(roleToRemove.id)) {
-            await logToGuild(guild, 'Comp role removal skipped', `User <@${message.author.id}> did not have the Comp role (nothing to remove).`);
-          } else if (botCanManageRoles && roleToRemove.position < botHighestPos) {
-            await member.roles.remove(roleToRemove.id, 'Comp verification revoked: new screenshot does not meet requirements');
-            await logToGuild(guild, 'Comp role removed', `User <@${message.author.id}>'s Comp role removed because new screenshot failed requirements. Detected win%: ${parsed.win_pct ?? 'N/A'}, games: ${parsed.games_played ?? 'N/A'}.`);
-            try {
-              await message.author.send(`Thanks for linking your account — your profile has been saved. You didn't meet the Comp requirements (Win%: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}). You can still view other players' stats on the server. Thank you for linking your account.`);
-            } catch (e) {}
-          } else {
-            await message.author.send(`Your new screenshot does not meet the verification requirements (Win: ${parsed.win_pct ?? 'N/A'} Games: ${parsed.games_played ?? 'N/A'}). The bot could not remove the Comp role automatically due to permissions or role order. Please contact a server admin to resolve this. You can still view other players' stats on the server. Thank you for linking your account.`);
-            await logToGuild(guild, 'Comp role removal blocked', `User <@${message.author.id}> should have role removed (failed re-check), but bot lacks permission/hierarchy to remove it.`);
+        // Heads-up DM BEFORE removing the role (only if they currently have it)
+        try {
+          if (member.roles.cache.has(roleToRemove.id)) {
+            await user.send(
+              `Heads up — your new screenshot does not meet the Comp requirements ` +
+              `(Win: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}). I will attempt to remove your Comp role.`
+            );
           }
+        } catch (_) {}
+
+        if (!member.roles.cache.has(roleToRemove.id)) {
+          await logToGuild(guild, 'Comp role removal skipped', `User <@${user.id}> did not have the Comp role (nothing to remove).`);
+        } else if (botCanManageRoles && roleToRemove.position < botHighestPos) {
+          noteBotRoleRemoval(guild.id, user.id);
+          await member.roles.remove(roleToRemove.id, 'Comp verification revoked: new screenshot does not meet requirements');
+          await logToGuild(guild, 'Comp role removed', `User <@${user.id}>'s Comp role removed because new screenshot failed requirements. Detected win%: ${parsed.win_pct ?? 'N/A'}, games: ${parsed.games_played ?? 'N/A'}.`);
+          try {
+            await user.send(`Thanks for linking your account — your profile has been saved. You didn't meet the Comp requirements (Win%: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}). You can still view other players' stats on the server. Thank you for linking your account.`);
+          } catch (e) {}
         } else {
-          await logToGuild(guild, 'Comp role removal skipped', `User <@${message.author.id}> previously verified but role not found or member not present. Failed detection: win% ${parsed.win_pct ?? 'N/A'}.`);
+          await user.send(`Your new screenshot does not meet the verification requirements (Win: ${parsed.win_pct ?? 'N/A'} Games: ${parsed.games_played ?? 'N/A'}). The bot could not remove the Comp role automatically due to permissions or role order. Please contact a server admin to resolve this. You can still view other players' stats on the server. Thank you for linking your account.`);
+          await logToGuild(guild, 'Comp role removal blocked', `User <@${user.id}> should have role removed (failed re-check), but bot lacks permission/hierarchy to remove it.`);
         }
-      } catch (remErr) {
-        if (OCR_DEBUG) console.warn('Error removing role on re-scan:', remErr?.message || remErr);
-        try { await message.author.send('Your new screenshot does not meet verification requirements. The bot attempted to remove the Comp role but encountered an error. Please contact a server admin.'); } catch (_) {}
-        await logToGuild(guild, 'Comp role removal error', `Error removing role for <@${message.author.id}>: ${remErr?.message || remErr}`);
+      } else {
+        await logToGuild(guild, 'Comp role removal skipped', `User <@${user.id}> previously verified but role not found or member not present. Failed detection: win% ${parsed.win_pct ?? 'N/A'}.`);
       }
+    } catch (remErr) {
+      if (OCR_DEBUG) console.warn('Error removing role on re-scan:', remErr?.message || remErr);
+      try { await user.send('Your new screenshot does not meet verification requirements. The bot attempted to remove the Comp role but encountered an error. Please contact a server admin.'); } catch (_) {}
+      await logToGuild(guild, 'Comp role removal error', `Error removing role for <@${user.id}>: ${remErr?.message || remErr}`);
+    }
 
-      // mark latest row as not verified
-      try {
-        await updateLatestRecord(message.author.id, targetGuildId, { verified: false, verified_at: null, flagged: false, flag_reason: null, image_url: url });
-      } catch (uErr) { if (OCR_DEBUG) console.warn('Failed to update DB when removing verification:', uErr?.message || uErr); }
+    // tier roles go together with the verified role
+    if (member) await syncTierRoles(guild, member, null, limits.tiers);
 
-      // send updated failure message (single friendly message)
-      await logToGuild(guild, 'Verification failed - re-check failed', `User <@${message.author.id}> failed re-check. Detected Win%: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}.`);
+    // mark latest row as not verified
+    try {
+      await updateLatestRecord(user.id, targetGuildId, { verified: false, verified_at: null, flagged: false, flag_reason: null, image_url: url });
+    } catch (uErr) { if (OCR_DEBUG) console.warn('Failed to update DB when removing verification:', uErr?.message || uErr); }
+    await saveRecordTier(user.id, targetGuildId, null);
+
+    // send updated failure message (single friendly message)
+    await logToGuild(guild, 'Verification failed - re-check failed', `User <@${user.id}> failed re-check. Detected Win%: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}.`);
+    return;
+  }
+
+  // Not previously verified users who fail checks: new friendly wording (unchanged from your earlier request)
+  if (!evalRes.meetsGames) {
+    await user.send(`Thanks for linking your account — your profile has been saved. You didn't meet the Comp requirements (Win%: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}).${modeNote} You can still view other players' stats on the server. Thank you for linking your account.`);
+    await logToGuild(guild, 'Verification failed - games', `User <@${user.id}> failed games check. Detected: ${parsed.games_played ?? 'N/A'}.`);
+    try { await updateLatestRecord(user.id, targetGuildId, { image_url: url }); } catch (_) {}
+    return;
+  }
+  if (!evalRes.meetsWin) {
+    await user.send(`Thanks for linking your account — your profile has been saved. You didn't meet the Comp requirements (Win%: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}).${modeNote} You can still view other players' stats on the server. Thank you for linking your account.`);
+    await logToGuild(guild, 'Verification failed - win%', `User <@${user.id}> failed win% check. Detected: ${parsed.win_pct ?? 'N/A'}.`);
+    try { await updateLatestRecord(user.id, targetGuildId, { image_url: url }); } catch (_) {}
+    return;
+  }
+
+  // Passed and no mismatch -> proceed to give role and set verified
+  try {
+    let roleObj = null;
+    const persistedRoleId = await getRoleIdForGuild(guild.id);
+    if (persistedRoleId) {
+      roleObj = await guild.roles.fetch(persistedRoleId).catch(() => null);
+      if (!roleObj) roleObj = await ensureRoleForGuild(guild);
+    } else {
+      roleObj = await ensureRoleForGuild(guild);
+    }
+
+    if (!roleObj) {
+      await user.send('Congratulations — you passed verification! However, I could not create or find the verification role in the server. Please contact a server admin.');
+      await logToGuild(guild, 'Verification passed - role missing', `User <@${user.id}> passed but role missing/creation failed.`);
       return;
     }
 
-    // Not previously verified users who fail checks: new friendly wording (unchanged from your earlier request)
-    if (!evalRes.meetsGames) {
-      await message.author.send(`Thanks for linking your account — your profile has been saved. You didn't meet the Comp requirements (Win%: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}). You can still view other players' stats on the server. Thank you for linking your account.`);
-      await logToGuild(guild, 'Verification failed - games', `User <@${message.author.id}> failed games check. Detected: ${parsed.games_played ?? 'N/A'}.`);
-      try { await updateLatestRecord(message.author.id, targetGuildId, { image_url: url }); } catch (_) {}
+    const botMember = await guild.members.fetch(client.user.id).catch(() => null);
+    const botCanManageRoles = botMember ? botMember.permissions.has(PermissionsBitField.Flags.ManageRoles) : false;
+    const botHighestPos = botMember ? botMember.roles.highest.position : -1;
+
+    if (!botCanManageRoles) {
+      await user.send('Congratulations — you passed verification! I could not add the Comp role automatically because the bot lacks Manage Roles permission in that server. Please contact a server admin to add the Comp Verified role. Detected stats — Win percentage: ' + parsed.win_pct + ', Games: ' + parsed.games_played + '.');
+      await logToGuild(guild, 'Verification passed - missing ManageRoles', `User <@${user.id}> passed but bot lacks ManageRoles.`);
+      // We still keep profile saved but verified remains false for manual assignment
+      await updateLatestRecord(user.id, targetGuildId, { image_url: url });
       return;
     }
-    if (!evalRes.meetsWin) {
-      await message.author.send(`Thanks for linking your account — your profile has been saved. You didn't meet the Comp requirements (Win%: ${parsed.win_pct ?? 'N/A'}, Games: ${parsed.games_played ?? 'N/A'}). You can still view other players' stats on the server. Thank you for linking your account.`);
-      await logToGuild(guild, 'Verification failed - win%', `User <@${message.author.id}> failed win% check. Detected: ${parsed.win_pct ?? 'N/A'}.`);
-      try { await updateLatestRecord(message.author.id, targetGuildId, { image_url: url }); } catch (_) {}
+    if (roleObj.position >= botHighestPos) {
+      await user.send('Congratulations — you passed verification! I could not add the role automatically because the bot role is not higher than the verification role in server role order. Please ask an admin to move the bot role above the verification role. Detected stats — Win percentage: ' + parsed.win_pct + ', Games: ' + parsed.games_played + '.');
+      await logToGuild(guild, 'Verification passed - hierarchy issue', `User <@${user.id}> passed but bot role lower than verification role.`);
+      await updateLatestRecord(user.id, targetGuildId, { image_url: url });
       return;
     }
 
-    // Passed and no mismatch -> proceed to give role and set verified
+    // add role
+    await member.roles.add(roleObj.id, 'Comp Verification passed');
+    // promote/demote between tiers on every re-verification
+    const tierChange = await syncTierRoles(guild, member, evalRes.tier, limits.tiers);
+
+    // update latest record to verified and attach player_tag/platform if present
+    const updateObj = {
+      verified: true,
+      verified_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + limits.reverifyDays * 24 * 60 * 60 * 1000).toISOString(),
+      player_tag: parsed.player_tag || null,
+      platform: parsed.platform || null,
+      image_url: url,
+      image_hash: parsed.image_hash || image_hash,
+      flagged: false,
+      flag_reason: null
+    };
+    await updateLatestRecord(user.id, targetGuildId, updateObj);
+    await saveRecordTier(user.id, targetGuildId, evalRes.tier);
+
+    // notify user
+    await user.send(
+      `Congratulations — you are verified as a Comp player!\n\nYou have been granted the Comp Verified role which provides access to Comp channels on the server.${evalRes.tier ? `\n\nYour tier: **${evalRes.tier}**.` : ''}\n\nDetected stats — Win percentage: ${parsed.win_pct}, Games played: ${parsed.games_played}, Points: ${parsed.points ?? 'N/A'}.\n\nDetected player tag: ${parsed.player_tag ?? 'N/A'} on platform: ${parsed.platform ?? 'N/A'}.\n\nIf you do not see Comp channels, try reloading Discord or contact a server admin. Your verification will remain valid for ${limits.reverifyDays} days. Good luck in Comp!`
+    );
+
+    const tierNote = evalRes.tier ? ` Tier: ${evalRes.tier}${tierChange.removed.length ? ` (was ${tierChange.removed.join(', ')})` : ''}.` : '';
+    await logToGuild(guild, 'Verification success', `User <@${user.id}> verified. Win%: ${parsed.win_pct}, Games: ${parsed.games_played}. Tag: ${parsed.player_tag ?? 'N/A'}.${tierNote}`);
+
+    // Post player card to configured channel so others can view
     try {
-      let roleObj = null;
-      const persistedRoleId = await getRoleIdForGuild(guild.id);
-      if (persistedRoleId) {
-        roleObj = await guild.roles.fetch(persistedRoleId).catch(() => null);
-        if (!roleObj) roleObj = await ensureRoleForGuild(guild);
-      } else {
-        roleObj = await ensureRoleForGuild(guild);
-      }
+      const latestAfter = await getLatestRecord(user.id, targetGuildId);
+      await postPlayerCardToChannel(guild, latestAfter);
+    } catch (e) {
+      if (OCR_DEBUG) console.warn('Failed to post player card after verification:', e?.message || e);
+    }
+  } catch (err) {
+    console.warn('Role assignment or DB update error:', err?.message || err);
+    await user.send('You passed but I could not add the role automatically. Contact a server admin.');
+    await logToGuild(guild, 'Verification error', `User <@${user.id}> passed but error: ${err?.message || err}`);
+  }
+}
 
-      if (!roleObj) {
-        await message.author.send('Congratulations — you passed verification! However, I could not create or find the verification role in the server. Please contact a server admin.');
-        await logToGuild(guild, 'Verification passed - role missing', `User <@${message.author.id}> passed but role missing/creation failed.`);
-        return;
-      }
+// ================ DM handler =================
+// Screenshots sent within SUBMISSION_WINDOW_SECONDS of each other are processed as one submission.
+// The target guild is, in order: guildId (picked from the guild menu), the guild the user clicked Verify in,
+// the only guild the user shares with the bot; with several candidates the user is asked to pick one first.
+async function processDmUpload(user, urls, { guildId = null } = {}) {
+  try {
+    // find guild & member context
+    const candidates = await findGuildsForUser(user.id);
+    if (candidates.length === 0) {
+      await user.send('I could not find a server where you and this bot are both present. Make sure you joined the server you want verification for and try again.');
+      return;
+    }
+    const binding = getVerifyBinding(user.id);
+    const wantedGuildId = guildId || binding?.guildId || null;
+    let mutual = wantedGuildId ? candidates.find(c => c.guild.id === wantedGuildId) : null;
+    if (!mutual && guildId) {
+      await user.send('You are no longer a member of that server, so I cannot verify you there.');
+      return;
+    }
+    if (!mutual && candidates.length > 1) {
+      await sendGuildPicker(user, urls, candidates);
+      return;
+    }
+    if (!mutual) mutual = candidates[0];
+    const guild = mutual.guild;
+    const targetGuildId = guild.id;
 
-      const botMember = await guild.members.fetch(client.user.id).catch(() => null);
-      const botCanManageRoles = botMember ? botMember.permissions.has(PermissionsBitField.Flags.ManageRoles) : false;
-      const botHighestPos = botMember ? botMember.roles.highest.position : -1;
-
-      if (!botCanManageRoles) {
-        await message.author.send('Congratulations — you passed verification! I could not add the Comp role automatically because the bot lacks Manage Roles permission in that server. Please contact a server admin to add the Comp Verified role. Detected stats — Win percentage: ' + parsed.win_pct + ', Games: ' + parsed.games_played + '.');
-        await logToGuild(guild, 'Verification passed - missing ManageRoles', `User <@${message.author.id}> passed but bot lacks ManageRoles.`);
-        // We still keep profile saved but verified remains false for manual assignment
-        await updateLatestRecord(message.author.id, targetGuildId, { image_url: url });
-        return;
-      }
-      if (roleObj.position >= botHighestPos) {
-        await message.author.send('Congratulations — you passed verification! I could not add the role automatically because the bot role is not higher than the verification role in server role order. Please ask an admin to move the bot role above the verification role. Detected stats — Win percentage: ' + parsed.win_pct + ', Games: ' + parsed.games_played + '.');
-        await logToGuild(guild, 'Verification passed - hierarchy issue', `User <@${message.author.id}> passed but bot role lower than verification role.`);
-        await updateLatestRecord(message.author.id, targetGuildId, { image_url: url });
+    await user.send(urls.length > 1 ? `Thanks — processing your ${urls.length} screenshots for **${guild.name}** now.` : `Thanks — processing your screenshot for **${guild.name}** now.`);
+
+    // game profile: the one picked with a per-profile Verify button in this guild if still active, else the guild's primary profile
+    const activeProfiles = await getActiveProfilesForGuild(targetGuildId);
+    const choiceProfileId = binding?.guildId === targetGuildId ? binding.profileId : null;
+    const profile = activeProfiles.find(p => p.id === choiceProfileId) || activeProfiles[0];
+
+    const providerOrder = await getParserProvidersForGuild(targetGuildId);
+    if (!providerOrder.some(name => statsParserProviders[name].isAvailable())) {
+      await user.send('Image parsing is currently unavailable because none of the configured stats parsers (' + (providerOrder.join(', ') || 'none') + ') is ready. Please contact a server admin.');
+      return;
+    }
+
+    const prevRec = await getLatestRecord(user.id, targetGuildId).catch(() => null);
+
+    // Rate limit: one submission per cooldown period (default 1 hour, per-guild via /comp config cooldown).
+    // Uploads still waiting for confirmation count too, so repeated uploads cannot each trigger a parse.
+    const cooldownMinutes = await getCooldownMinutesForGuild(targetGuildId);
+    const lastMs = Math.max(prevRec?.created_at ? new Date(prevRec.created_at).getTime() : 0, lastPendingSubmissionAt(user.id, targetGuildId));
+    if (lastMs > 0 && cooldownMinutes > 0) {
+      const elapsedMs = Date.now() - lastMs;
+      const cooldownMs = cooldownMinutes * 60 * 1000;
+      if (elapsedMs < cooldownMs) {
+        const minutesLeft = Math.ceil((cooldownMs - elapsedMs) / 60000);
+        await user.send(`Please wait ${minutesLeft} minute(s) before uploading another screenshot. Only one upload every ${cooldownMinutes} minute(s) is allowed.`);
+        if (OCR_DEBUG) await logToGuild(guild, 'Rate limit blocked', `User <@${user.id}> tried to upload within rate limit (${minutesLeft}m left).`);
         return;
       }
+    }
 
-      // add role
-      await member.roles.add(roleObj.id, 'Comp Verification passed');
-
-      // update latest record to verified and attach player_tag/platform if present
-      const updateObj = {
-        verified: true,
-        verified_at: new Date().toISOString(),
-        expires_at: new Date(Date.now() + REVERIFY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
-        player_tag: parsed.player_tag || null,
-        platform: parsed.platform || null,
-        image_url: url,
-        image_hash: parsed.image_hash || image_hash,
-        flagged: false,
-        flag_reason: null
-      };
-      await updateLatestRecord(message.author.id, targetGuildId, updateObj);
-
-      // notify user
-      await message.author.send(
-        `Congratulations — you are verified as a Comp player!\n\nYou have been granted the Comp Verified role which provides access to Comp channels on the server.\n\nDetected stats — Win percentage: ${parsed.win_pct}, Games played: ${parsed.games_played}, Points: ${parsed.points ?? 'N/A'}.\n\nDetected player tag: ${parsed.player_tag ?? 'N/A'} on platform: ${parsed.platform ?? 'N/A'}.\n\nIf you do not see Comp channels, try reloading Discord or contact a server admin. Your verification will remain valid for ${REVERIFY_DAYS} days. Good luck in Comp!`
-      );
-
-      await logToGuild(guild, 'Verification success', `User <@${message.author.id}> verified. Win%: ${parsed.win_pct}, Games: ${parsed.games_played}. Tag: ${parsed.player_tag ?? 'N/A'}.`);
-
-      // Post player card to configured channel so others can view
+    // parse every image with the guild's parser providers (OpenAI, local OCR, recorded fixtures)
+    const images = [];
+    for (const url of urls) {
+      const buffer = await downloadImageToBuffer(url);
+      const image_hash = await computeImageHash(buffer);
+      let parsed;
       try {
-        const latestAfter = await getLatestRecord(message.author.id, targetGuildId);
-        await postPlayerCardToChannel(guild, latestAfter);
-      } catch (e) {
-        if (OCR_DEBUG) console.warn('Failed to post player card after verification:', e?.message || e);
+        parsed = await parseImageStats(url, { guildId: targetGuildId, buffer, profile });
+      } catch (openaiErr) {
+        // detect rate limit or service errors and inform user clearly
+        if (String(openaiErr?.message || '').toLowerCase().includes('rate')) {
+          await user.send('Image parsing failed due to a rate limit on the OCR service. Please wait a minute and try again. If this persists, contact an admin.');
+          await logToGuild(guild, 'OpenAI rate limit', `OpenAI parse rate-limited for user <@${user.id}>. Error: ${String(openaiErr?.message || openaiErr)}`);
+          return;
+        }
+        // generic fallback
+        throw openaiErr;
       }
-    } catch (err) {
-      console.warn('Role assignment or DB update error:', err?.message || err);
-      await message.author.send('You passed but I could not add the role automatically. Contact a server admin.');
-      await logToGuild(guild, 'Verification error', `User <@${message.author.id}> passed but error: ${err?.message || err}`);
+      parsed.image_hash = parsed.image_hash || image_hash;
+      parsed.phash = await computePerceptualHash(buffer).catch(e => {
+        if (OCR_DEBUG) console.warn('Perceptual hash failed:', e?.message || e);
+        return null;
+      });
+      Object.assign(parsed, await computeCenterHashes(buffer).catch(e => {
+        if (OCR_DEBUG) console.warn('Centre perceptual hash failed:', e?.message || e);
+        return {};
+      }));
+      images.push({ url, image_hash, parsed: normalizeParsedFields(parsed) });
     }
 
+    const parsed = images.length > 1 ? mergeImageParses(images) : images[0].parsed;
+    parsed.game_profile = profile.id;
+    const primary = images[parsed.field_sources?.games_played ?? 0] || images[0];
+    const url = primary.url;
+    const image_hash = primary.image_hash;
+
+    // duplicate image detection: the screenshot the stats were read from was already uploaded by this user
+    const dup = await findRecordByHash(user.id, targetGuildId, image_hash);
+    if (dup) {
+      await user.send('This screenshot has already been uploaded by you previously. Duplicate screenshots are not allowed. If you believe this is a mistake, contact an admin.');
+      await logToGuild(guild, 'Duplicate screenshot blocked', `User <@${user.id}> attempted to upload a duplicate screenshot (hash ${image_hash}).`);
+      return;
+    }
+
+    // If we could not parse the essential fields, refuse and do NOT save
+    const essentialMissing = profile.expected_fields.some(field => parsed[field] == null);
+    if (essentialMissing) {
+      await user.send('I could not reliably read important parts of your screenshot (games, win%, or player tag). Please upload a clear full screenshot where your player tag is visible and re-try. Do not crop the tag. If your tag is on a different screen, send both screenshots together. Your upload was not saved.');
+      const expected = Object.fromEntries(profile.expected_fields.map(field => [field, parsed[field]]));
+      await logToGuild(guild, 'Unreadable screenshot refused', `User <@${user.id}> uploaded an unreadable screenshot (${profile.display_name}). Parsed: ${JSON.stringify(expected)}`);
+      return;
+    }
+
+    // Ask the user to confirm the extracted values before anything is saved
+    parsed.season = await getCurrentSeason(targetGuildId);
+    const submissionId = createPendingSubmission({ userId: user.id, guildId: targetGuildId, parsed, url, image_hash });
+    const confirmRow = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`confirm_parse:${submissionId}`).setLabel('Looks right').setStyle(ButtonStyle.Success),
+      new ButtonBuilder().setCustomId(`misread_parse:${submissionId}`).setLabel('This was misread').setStyle(ButtonStyle.Secondary)
+    );
+    await user.send({
+      content: `Here is what I read from your ${images.length > 1 ? `${images.length} screenshots` : 'screenshot'}. Please check it before I save it (this expires in ${CONFIRM_TIMEOUT_MINUTES} minutes).`,
+      embeds: [buildParsedValuesEmbed(parsed)],
+      components: [confirmRow]
+    });
   } catch (err) {
     console.error('Error processing DM verification:', err?.message || err);
     if (OCR_DEBUG) {
-      await message.author.send(`Error while parsing your screenshot: ${err?.message || err}. Check bot logs for details.`);
+      await user.send(`Error while parsing your screenshot: ${err?.message || err}. Check bot logs for details.`).catch(() => null);
     } else {
-      await message.author.send('Unexpected error while processing your image. Try again later or contact an admin.');
+      await user.send('Unexpected error while processing your image. Try again later or contact an admin.').catch(() => null);
+    }
+  }
+}
+
+client.on('messageCreate', async (message) => {
+  if (message.author.bot) return;
+  if (message.channel.type !== ChannelType.DM) return;
+
+  const attachments = message.attachments ? Array.from(message.attachments.values()) : [];
+  const imageAttachments = attachments.filter(a => !a.contentType || a.contentType.startsWith('image/'));
+  if (imageAttachments.length === 0) {
+    await message.reply('Please attach an image screenshot showing your Stats screen (Games Played and Win percentage).');
+    return;
+  }
+
+  if (OCR_DEBUG) {
+    for (const a of imageAttachments) {
+      console.log('Received DM attachment:', { url: a.url, contentType: a.contentType, size: a.size, height: a.height, width: a.width });
     }
   }
+
+  const urls = imageAttachments.map(a => a.url);
+  if (!(SUBMISSION_WINDOW_SECONDS > 0)) {
+    await processDmUpload(message.author, urls.slice(0, MAX_SUBMISSION_IMAGES));
+    return;
+  }
+
+  // collect screenshots for a short window so a stats screen + profile screen can be sent separately
+  let pendingWindow = uploadWindows.get(message.author.id);
+  if (!pendingWindow) {
+    pendingWindow = { urls: [], timer: null };
+    uploadWindows.set(message.author.id, pendingWindow);
+    await message.reply(`Got it. If this submission needs another screenshot (for example your profile screen showing your gamertag), send it within ${SUBMISSION_WINDOW_SECONDS} seconds and I will read them together.`);
+  }
+  pendingWindow.urls.push(...urls);
+  if (pendingWindow.timer) clearTimeout(pendingWindow.timer);
+
+  const flush = () => {
+    uploadWindows.delete(message.author.id);
+    processDmUpload(message.author, pendingWindow.urls.slice(0, MAX_SUBMISSION_IMAGES)).catch(err => {
+      console.error('DM upload processing failed:', err?.message || err);
+    });
+  };
+  if (pendingWindow.urls.length >= MAX_SUBMISSION_IMAGES) {
+    flush();
+  } else {
+    pendingWindow.timer = setTimeout(flush, SUBMISSION_WINDOW_SECONDS * 1000);
+  }
 });
 
 client.login(TOKEN).catch(err => {
@@ -0,0 +1,147 @@
+-- Supabase (Postgres) schema for the Comp verification bot.
+-- Safe to re-run: tables are created when missing and columns added by later versions are added to existing
+-- tables. Columns marked "optional" are feature columns; the bot keeps working without them (see index.js) but
+-- the feature is lost or degraded.
+
+-- One row per submission; a player's latest row is their current record.
+create table if not exists comp_verifications (
+  id bigint generated by default as identity primary key,
+  user_id text not null,
+  username text,
+  guild_id text not null,
+  player_tag text,
+  platform text,
+  win_pct numeric,
+  games_played integer,
+  points numeric,
+  rebounds numeric,
+  assists numeric,
+  image_url text,
+  image_hash text,                   -- SHA-256 of the screenshot (exact duplicate detection)
+  verified boolean not null default false,
+  verified_at timestamptz,
+  expires_at timestamptz,
+  flagged boolean not null default false,
+  flag_reason text,
+  created_at timestamptz not null default now()
+);
+create index if not exists comp_verifications_guild_user_idx on comp_verifications (guild_id, user_id, created_at desc);
+
+alter table comp_verifications
+  add column if not exists source text,              -- optional: parser provider that produced the values
+  add column if not exists raw_openai text,          -- optional: raw model output
+  add column if not exists raw_ocr text,             -- optional: raw OCR text
+  add column if not exists confidence jsonb,         -- optional: per-field parser confidence (0-1)
+  add column if not exists game_profile text,        -- optional: comp_game_profiles.id; null = default profile
+  add column if not exists season text,              -- optional: season the record belongs to
+  add column if not exists game_mode text,           -- optional: Rec, Park, Pro-Am, Theater, 1v1
+  add column if not exists mode_stats jsonb,         -- optional: per-mode games / win %
+  add column if not exists position text,            -- optional: build metadata
+  add column if not exists archetype text,
+  add column if not exists overall integer,
+  add column if not exists height text,
+  add column if not exists badge_count integer,
+  add column if not exists phash text,               -- optional: 64-bit dHash (hex) of the full screenshot
+  add column if not exists phash_center text,        -- optional: dHash of the centre 60% (trimmed crops)
+  add column if not exists tamper_score integer,     -- optional: screenshot forensics score 0-100
+  add column if not exists tamper_reasons text[],
+  add column if not exists image_urls text[],        -- optional: multi-screenshot submissions
+  add column if not exists image_hashes text[],
+  add column if not exists field_sources jsonb,      -- optional: which screenshot each value came from
+  add column if not exists tier text,                -- highest tier met (comp_settings.tiers / COMP_TIERS)
+  add column if not exists reminders_sent text[],    -- expiry steps already sent ('7d', '1d', 'grace')
+  add column if not exists expired_at timestamptz,   -- set when the role is removed at the end of the grace period
+  add column if not exists left_guild_at timestamptz,
+  add column if not exists role_expires_at timestamptz; -- role kept past a season close until this time
+
+-- One row per guild.
+create table if not exists comp_settings (
+  guild_id text primary key,
+  channel_name text,
+  updated_at timestamptz default now()
+);
+
+alter table comp_settings
+  add column if not exists channel_id text,              -- verification channel
+  add column if not exists category_id text,
+  add column if not exists admin_channel_id text,        -- admin approval channel
+  add column if not exists log_channel_id text,
+  add column if not exists player_card_channel_id text,
+  add column if not exists role_id text,                 -- verified role
+  add column if not exists min_games integer,            -- null = game profile / env default
+  add column if not exists min_win_pct numeric,
+  add column if not exists reverify_days integer,
+  add column if not exists thresholds_set_at timestamptz, -- optional: set by /comp config thresholds; values
+                                                          -- without it that equal the env defaults are cleared
+  add column if not exists mode_thresholds jsonb,        -- per-mode thresholds (see parseModeThresholds)
+  add column if not exists tiers jsonb,                  -- [{ name, min_games, min_win_pct, role_id? }]
+  add column if not exists cooldown_minutes integer,
+  add column if not exists min_confidence numeric,
+  add column if not exists tamper_threshold integer,
+  add column if not exists phash_threshold integer,
+  add column if not exists parser_providers text,        -- comma list, e.g. 'openai,tesseract'
+  add column if not exists game_profiles text,           -- comma list of active profiles, first is primary
+  add column if not exists current_season text,
+  add column if not exists archived_at timestamptz;      -- set when the bot leaves the guild
+
+-- Admin approvals (duplicate tags, held submissions, queue items) so buttons survive restarts.
+create table if not exists comp_pending_approvals (
+  id uuid primary key,
+  guild_id text not null,
+  user_id text not null,
+  other_user_id text,
+  subject text,                      -- null = tag change, 'submission' = held submission
+  prev_tag text,
+  new_tag text,
+  new_platform text,
+  old_image text,
+  new_image text,
+  other_image text,
+  images jsonb,                      -- [{ label, url }]
+  alt_saved_tag text,
+  reason text,
+  game_profile text,
+  admin_channel_id text,             -- null = posted to ADMIN_USER_ID's DMs
+  admin_message_ids text[] not null default '{}',
+  status text not null default 'open', -- open, approved, denied, failed
+  decided_by text,
+  decided_at timestamptz,
+  created_at timestamptz not null default now()
+);
+create index if not exists comp_pending_approvals_open_idx on comp_pending_approvals (guild_id, status);
+
+-- Parse results by screenshot SHA-256 (PARSE_CACHE_TTL_HOURS).
+create table if not exists comp_parse_cache (
+  image_hash text primary key,
+  result jsonb not null,
+  source text,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz
+);
+
+-- Game profiles added to or overriding the built-in ones (BUILTIN_GAME_PROFILES).
+create table if not exists comp_game_profiles (
+  id text primary key,
+  display_name text,
+  parser_prompt text,
+  expected_fields text[],
+  min_games integer,
+  min_win_pct numeric,
+  reverify_days integer
+);
+
+-- Snapshot of every player's record when a season is closed (/comp season close).
+create table if not exists comp_season_archive (
+  id bigint generated by default as identity primary key,
+  season text not null,
+  guild_id text not null,
+  user_id text not null,
+  player_tag text,
+  win_pct numeric,
+  games_played integer,
+  tier text,
+  verified boolean,
+  record jsonb,                      -- the full comp_verifications row
+  archived_at timestamptz not null default now()
+);
+create index if not exists comp_season_archive_lookup_idx on comp_season_archive (guild_id, user_id, season);